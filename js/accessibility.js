@@ -0,0 +1,247 @@
+/*
+ ============================
+ Accessibility
+ ============================
+ The accessibility settings, saved in local storage like the sound settings:
+
+ - The keys for moving, jumping and pausing can be rebound. Each action has two keys, and
+   WASD is the default alternative to the arrow keys (see `defaultKeys` in snake.js).
+ - A high-contrast palette that does not rely on colour alone: its colours stay distinct with
+   any kind of colour blindness, lava is striped and coins are round.
+ - Reduced motion stops coins and power-ups from wobbling and keeps the view from following
+   every jump. It is on by default when the system asks for reduced motion.
+
+ Screen readers are told when a level starts, when the player dies and when a level is won,
+ through a live region (see `announce`).
+*/
+
+"use strict";
+
+var accessibilityStorageKey = "accessibilitySettings";
+
+// The actions that can be rebound, in the order the settings screen lists them
+var keyActions = [
+  {action: "left", label: "Move left"},
+  {action: "right", label: "Move right"},
+  {action: "up", label: "Jump"},
+  {action: "pause", label: "Pause"}
+];
+
+function copyKeys(keys) {
+  var copy = {};
+  for (var action in keys)
+    copy[action] = keys[action].slice();
+  return copy;
+}
+
+/*
+AccessibilityOptions object
+
+Properties:
+settings: `{keys, palette, reducedMotion}`, where `keys` maps each action to its keys like
+  `defaultKeys` and `palette` is "standard" or "contrast"
+live: the live region the announcements are written to
+*/
+function AccessibilityOptions() {
+  var reduce = window.matchMedia && matchMedia("(prefers-reduced-motion: reduce)").matches;
+  this.settings = {keys: copyKeys(defaultKeys), palette: "standard", reducedMotion: reduce};
+  try {
+    var saved = JSON.parse(localStorage.getItem(accessibilityStorageKey));
+    if (saved) {
+      Object.assign(this.settings, saved);
+      // Actions added after the settings were saved get their default keys
+      this.settings.keys = Object.assign(copyKeys(defaultKeys), saved.keys);
+    }
+  } catch (e) {}
+
+  this.live = document.body.appendChild(elt("div", "announcer"));
+  this.live.setAttribute("aria-live", "polite");
+  this.applySettings();
+}
+
+// The palette and reduced motion are applied to the page with classes on `<body>`, which
+// style.css picks up. The displays in snake.js read the settings directly.
+AccessibilityOptions.prototype.applySettings = function() {
+  document.body.classList.toggle("high-contrast", this.settings.palette == "contrast");
+  document.body.classList.toggle("reduced-motion", this.settings.reducedMotion);
+};
+
+// Change one or more settings, and save them
+AccessibilityOptions.prototype.update = function(changes) {
+  Object.assign(this.settings, changes);
+  try {
+    localStorage.setItem(accessibilityStorageKey, JSON.stringify(this.settings));
+  } catch (e) {}
+  this.applySettings();
+};
+
+// Bind `key` to `action` in the given slot (0 or 1). A key can only do one thing,
+// so it is taken away from any other action first.
+AccessibilityOptions.prototype.bindKey = function(action, slot, key) {
+  var keys = copyKeys(this.settings.keys);
+  for (var other in keys) {
+    keys[other] = keys[other].map(function(bound) {
+      return bound == key ? null : bound;
+    });
+  }
+  keys[action][slot] = key;
+  // Drop the gaps, but keep the other slot where it is
+  for (other in keys) {
+    if (other != action)
+      keys[other] = keys[other].filter(function(bound) { return bound != null; });
+  }
+  this.setKeys(keys);
+};
+
+// The keys are replaced in place, so a level in progress (which holds on to
+// `settings.keys`) picks up the new keys straight away.
+AccessibilityOptions.prototype.setKeys = function(keys) {
+  this.update({keys: Object.assign(this.settings.keys, keys)});
+};
+
+// Have screen readers read out `message`. Every message is added as a line of its own, so
+// messages that follow each other quickly are all read, in order. Only the last few are kept.
+AccessibilityOptions.prototype.announce = function(message) {
+  var line = this.live.appendChild(elt("p"));
+  line.textContent = message;
+  while (this.live.childNodes.length > 3)
+    this.live.removeChild(this.live.firstChild);
+};
+
+var accessibility = new AccessibilityOptions();
+
+// A readable name for a key code, like "A" for "KeyA" or "←" for "ArrowLeft"
+var keyNames = {ArrowLeft: "←", ArrowRight: "→", ArrowUp: "↑", ArrowDown: "↓", Escape: "Esc",
+  Space: "Space"};
+
+function keyName(key) {
+  if (!key) return "—";
+  if (keyNames.hasOwnProperty(key)) return keyNames[key];
+  var match = /^(?:Key|Digit)(.)$/.exec(key);
+  return match ? match[1] : key;
+}
+
+// The button in the corner of the screen that opens the settings screen
+function AccessibilitySettings(parent, options) {
+  this.button = parent.appendChild(elt("button", "settings-button"));
+  this.button.setAttribute("aria-label", "Accessibility settings");
+  this.button.appendChild(icon("settings"));
+  var settings = this,
+    screen = null;
+  this.button.addEventListener("click", function() {
+    if (screen) return;
+    screen = new SettingsScreen(parent, options, function() {
+      screen = null;
+      settings.button.focus();
+    });
+  });
+}
+
+/*
+SettingsScreen object
+
+The accessibility settings screen, opened from the corner button or the pause menu
+(see js/pause.js). `onClose` is called once it has been closed.
+*/
+function SettingsScreen(parent, options, onClose) {
+  this.parent = parent;
+  this.options = options;
+  this.onClose = onClose;
+  this.waiting = null;
+  this.screen = parent.appendChild(elt("div", "game-screen settings-screen"));
+  this.screen.setAttribute("role", "dialog");
+  this.screen.setAttribute("aria-label", "Settings");
+  var heading = this.screen.appendChild(elt("h1"));
+  heading.textContent = "Settings";
+
+  this.keyTable = this.screen.appendChild(elt("table", "key-bindings"));
+  this.drawKeys();
+  var reset = this.screen.appendChild(elt("button"));
+  reset.textContent = "Reset keys";
+
+  var palette = this.screen.appendChild(elt("label"));
+  palette.appendChild(document.createTextNode("Colours "));
+  var paletteSelect = palette.appendChild(elt("select"));
+  [["standard", "Standard"], ["contrast", "High contrast"]].forEach(function(choice) {
+    var option = paletteSelect.appendChild(elt("option"));
+    option.value = choice[0];
+    option.textContent = choice[1];
+  });
+  paletteSelect.value = this.options.settings.palette;
+
+  var motion = this.screen.appendChild(elt("label"));
+  var motionBox = motion.appendChild(elt("input"));
+  motionBox.type = "checkbox";
+  motionBox.checked = this.options.settings.reducedMotion;
+  motion.appendChild(document.createTextNode(" Reduce motion"));
+
+  var close = this.screen.appendChild(elt("button"));
+  close.textContent = "Done";
+
+  var settings = this;
+  reset.addEventListener("click", function() {
+    settings.options.setKeys(copyKeys(defaultKeys));
+    settings.drawKeys();
+  });
+  paletteSelect.addEventListener("change", function() {
+    settings.options.update({palette: paletteSelect.value});
+  });
+  motionBox.addEventListener("change", function() {
+    settings.options.update({reducedMotion: motionBox.checked});
+  });
+  close.addEventListener("click", function() {
+    settings.close();
+  });
+  close.focus();
+}
+
+// One row per action, with a button for each of its two keys
+SettingsScreen.prototype.drawKeys = function() {
+  var table = this.keyTable,
+    settings = this;
+  this.stopWaiting();
+  table.textContent = "";
+  keyActions.forEach(function(entry) {
+    var row = table.appendChild(elt("tr"));
+    var label = row.appendChild(elt("th"));
+    label.textContent = entry.label;
+    [0, 1].forEach(function(slot) {
+      var button = row.appendChild(elt("td")).appendChild(elt("button"));
+      button.textContent = keyName(settings.options.settings.keys[entry.action][slot]);
+      button.setAttribute("aria-label", entry.label + ", key " + (slot + 1) + ": " +
+        button.textContent + ". Press to change");
+      button.addEventListener("click", function() {
+        settings.waitForKey(button, entry.action, slot);
+      });
+    });
+  });
+};
+
+// Wait for the next key press and bind it. The listener runs in the capture phase and stops
+// the event there, so the game never sees the key. Esc cancels, unless it is rebinding pause.
+SettingsScreen.prototype.waitForKey = function(button, action, slot) {
+  var settings = this;
+  this.stopWaiting();
+  button.textContent = "Press a key…";
+  function handler(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    settings.stopWaiting();
+    if (event.key != "Escape" || action == "pause")
+      settings.options.bindKey(action, slot, event.code || event.key);
+    settings.drawKeys();
+  }
+  addEventListener("keydown", handler, true);
+  this.waiting = handler;
+};
+
+SettingsScreen.prototype.stopWaiting = function() {
+  if (this.waiting) removeEventListener("keydown", this.waiting, true);
+  this.waiting = null;
+};
+
+SettingsScreen.prototype.close = function() {
+  this.stopWaiting();
+  this.parent.removeChild(this.screen);
+  if (this.onClose) this.onClose();
+};
@@ -0,0 +1,272 @@
+/*
+ ============================
+ Sound
+ ============================
+ All sounds are generated with the Web Audio API, so there are no audio files to download or
+ cache. The sound manager plays short effects for jumping, collecting a coin or power-up, dying,
+ stomping an enemy, reaching a checkpoint, and winning or losing a level, and loops a background
+ tune while a level is played.
+
+ Music and effects have separate volumes, and everything can be muted. The settings are saved
+ in local storage and can be changed from the panel behind the speaker button.
+
+ Browsers only allow audio to start after the user has interacted with the page, so the
+ AudioContext is created (or resumed) on the first key press or tap.
+*/
+
+"use strict";
+
+var audioStorageKey = "audioSettings";
+
+// The background tunes. Each note is a MIDI note number, or `null` for a rest, and lasts
+// one beat. Level `n` plays track `n` (wrapping around when there are more levels than tracks).
+var musicTracks = [
+  {tempo: 140, notes: [60, 64, 67, 64, 65, 69, 72, 69, 67, 64, 60, 64, 62, null, 55, null]},
+  {tempo: 120, notes: [57, 60, 64, 60, 55, 59, 62, 59, 53, 57, 60, 57, 52, 56, 59, null]},
+  {tempo: 160, notes: [62, null, 62, 65, 69, null, 67, 65, 64, null, 64, 67, 72, 71, 69, null]},
+  {tempo: 100, notes: [48, 55, 60, 55, 50, 57, 62, 57, 52, 59, 64, 59, 53, 60, 65, null]}
+];
+
+function midiFrequency(note) {
+  return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+/*
+SoundManager object
+
+Properties:
+settings: `{music, sfx, muted}`, the two volumes between 0 and 1 and the mute toggle
+context: the AudioContext, created on the first user interaction
+*/
+function SoundManager() {
+  this.settings = {music: 0.4, sfx: 0.7, muted: false};
+  try {
+    Object.assign(this.settings, JSON.parse(localStorage.getItem(audioStorageKey)));
+  } catch (e) {}
+  this.context = null;
+  this.music = null;
+
+  var manager = this;
+  function unlock() {
+    manager.ensureContext();
+    removeEventListener("keydown", unlock);
+    removeEventListener("pointerdown", unlock);
+  }
+  addEventListener("keydown", unlock);
+  addEventListener("pointerdown", unlock);
+}
+
+SoundManager.prototype.ensureContext = function() {
+  if (this.context) return this.context;
+  var AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContext) return null;
+  this.context = new AudioContext();
+  this.musicGain = this.context.createGain();
+  this.sfxGain = this.context.createGain();
+  this.musicGain.connect(this.context.destination);
+  this.sfxGain.connect(this.context.destination);
+  this.applySettings();
+  return this.context;
+};
+
+SoundManager.prototype.applySettings = function() {
+  if (!this.context) return;
+  var muted = this.settings.muted;
+  this.musicGain.gain.value = muted ? 0 : this.settings.music;
+  this.sfxGain.gain.value = muted ? 0 : this.settings.sfx;
+};
+
+// Change one or more settings, and save them
+SoundManager.prototype.update = function(changes) {
+  Object.assign(this.settings, changes);
+  try {
+    localStorage.setItem(audioStorageKey, JSON.stringify(this.settings));
+  } catch (e) {}
+  this.applySettings();
+};
+
+// Suspending the AudioContext freezes music and effects exactly where they are,
+// which is what `runLevel` does while the game is paused.
+SoundManager.prototype.suspend = function() {
+  if (this.context && this.context.state == "running") this.context.suspend();
+};
+
+SoundManager.prototype.resume = function() {
+  if (this.context && this.context.state == "suspended") this.context.resume();
+};
+
+// Play a tone. `options` holds its `frequency` in Hz (and optionally an `endFrequency` to slide
+// to), its `duration` in seconds, and optionally a `delay` from now, the oscillator `type`,
+// a `volume` and an `output` node (the effects volume by default).
+SoundManager.prototype.tone = function(options) {
+  var cx = this.context;
+  var start = cx.currentTime + (options.delay || 0);
+  var osc = cx.createOscillator(),
+    gain = cx.createGain();
+  osc.type = options.type || "square";
+  osc.frequency.setValueAtTime(options.frequency, start);
+  if (options.endFrequency)
+    osc.frequency.exponentialRampToValueAtTime(options.endFrequency, start + options.duration);
+  gain.gain.setValueAtTime(options.volume || 0.3, start);
+  gain.gain.exponentialRampToValueAtTime(0.001, start + options.duration);
+  osc.connect(gain);
+  gain.connect(options.output || this.sfxGain);
+  osc.start(start);
+  osc.stop(start + options.duration);
+};
+
+// A burst of white noise, used for dying
+SoundManager.prototype.noise = function(duration) {
+  var cx = this.context;
+  var buffer = cx.createBuffer(1, Math.floor(cx.sampleRate * duration), cx.sampleRate);
+  var data = buffer.getChannelData(0);
+  for (var i = 0; i < data.length; i++)
+    data[i] = (Math.random() * 2 - 1) * (1 - i / data.length);
+  var source = cx.createBufferSource(),
+    filter = cx.createBiquadFilter();
+  source.buffer = buffer;
+  filter.type = "lowpass";
+  filter.frequency.setValueAtTime(2000, cx.currentTime);
+  filter.frequency.exponentialRampToValueAtTime(200, cx.currentTime + duration);
+  source.connect(filter);
+  filter.connect(this.sfxGain);
+  source.start();
+};
+
+var soundEffects = {
+  jump: function(sounds) {
+    sounds.tone({frequency: 300, endFrequency: 600, duration: 0.12, volume: 0.15});
+  },
+  coin: function(sounds) {
+    sounds.tone({frequency: 988, duration: 0.08, type: "sine"});
+    sounds.tone({frequency: 1319, duration: 0.2, delay: 0.08, type: "sine"});
+  },
+  die: function(sounds) {
+    sounds.noise(0.4);
+  },
+  powerup: function(sounds) {
+    sounds.tone({frequency: 400, endFrequency: 1600, duration: 0.3, type: "sine"});
+  },
+  stomp: function(sounds) {
+    sounds.tone({frequency: 200, endFrequency: 80, duration: 0.15, volume: 0.3});
+  },
+  checkpoint: function(sounds) {
+    sounds.tone({frequency: 660, duration: 0.1, type: "sine"});
+    sounds.tone({frequency: 880, duration: 0.1, delay: 0.1, type: "sine"});
+    sounds.tone({frequency: 1320, duration: 0.2, delay: 0.2, type: "sine"});
+  },
+  won: function(sounds) {
+    [72, 76, 79, 84].forEach(function(note, i) {
+      sounds.tone({frequency: midiFrequency(note), duration: 0.15, delay: i * 0.1, type: "triangle"});
+    });
+  },
+  lost: function(sounds) {
+    [67, 63, 60].forEach(function(note, i) {
+      sounds.tone({frequency: midiFrequency(note), duration: 0.25, delay: 0.3 + i * 0.2,
+        type: "triangle"});
+    });
+  }
+};
+
+// Play one of the `soundEffects` by name. Does nothing until the audio has been unlocked.
+SoundManager.prototype.play = function(name) {
+  if (!this.context || this.context.state != "running") return;
+  soundEffects[name](this);
+};
+
+// Start looping the tune for level `n`. Notes are scheduled a little ahead of time
+// from a timer, so the music keeps a steady beat even when frames are dropped.
+SoundManager.prototype.startMusic = function(n) {
+  this.stopMusic();
+  var track = musicTracks[n % musicTracks.length];
+  var beat = 60 / track.tempo;
+  var manager = this;
+  var music = this.music = {next: 0, nextTime: null, timer: null};
+
+  function schedule() {
+    var cx = manager.context;
+    if (!cx || cx.state != "running") return;
+    if (music.nextTime == null || music.nextTime < cx.currentTime)
+      music.nextTime = cx.currentTime + 0.05;
+    while (music.nextTime < cx.currentTime + 0.3) {
+      var note = track.notes[music.next];
+      if (note != null)
+        manager.tone({frequency: midiFrequency(note), duration: beat * 0.9, type: "triangle",
+          volume: 0.2, delay: music.nextTime - cx.currentTime, output: manager.musicGain});
+      music.next = (music.next + 1) % track.notes.length;
+      music.nextTime += beat;
+    }
+  }
+  music.timer = setInterval(schedule, 100);
+  schedule();
+};
+
+SoundManager.prototype.stopMusic = function() {
+  if (this.music) clearInterval(this.music.timer);
+  this.music = null;
+};
+
+var soundManager = new SoundManager();
+
+/*
+The audio settings panel: a speaker button that stays in the corner of the screen and opens
+a small panel with the two volume sliders and the mute toggle.
+*/
+function AudioSettings(parent, sounds) {
+  this.sounds = sounds;
+  this.button = parent.appendChild(elt("button", "audio-button"));
+  this.button.setAttribute("aria-label", "Sound settings");
+  this.button.setAttribute("aria-expanded", "false");
+  this.panel = parent.appendChild(elt("div", "audio-panel"));
+  this.panel.hidden = true;
+
+  this.mute = this.checkbox("Mute", "muted");
+  this.musicVolume = this.slider("Music", "music");
+  this.sfxVolume = this.slider("Effects", "sfx");
+
+  var settings = this;
+  this.button.addEventListener("click", function() {
+    settings.panel.hidden = !settings.panel.hidden;
+    settings.button.setAttribute("aria-expanded", String(!settings.panel.hidden));
+  });
+  this.updateButton();
+}
+
+AudioSettings.prototype.slider = function(label, setting) {
+  var row = this.panel.appendChild(elt("label"));
+  row.appendChild(document.createTextNode(label + " "));
+  var input = row.appendChild(elt("input"));
+  input.type = "range";
+  input.min = 0;
+  input.max = 1;
+  input.step = 0.05;
+  input.value = this.sounds.settings[setting];
+  var settings = this;
+  input.addEventListener("input", function() {
+    var changes = {};
+    changes[setting] = Number(input.value);
+    settings.sounds.update(changes);
+  });
+  return input;
+};
+
+AudioSettings.prototype.checkbox = function(label, setting) {
+  var row = this.panel.appendChild(elt("label"));
+  var input = row.appendChild(elt("input"));
+  input.type = "checkbox";
+  input.checked = this.sounds.settings[setting];
+  row.appendChild(document.createTextNode(" " + label));
+  var settings = this;
+  input.addEventListener("change", function() {
+    var changes = {};
+    changes[setting] = input.checked;
+    settings.sounds.update(changes);
+    settings.updateButton();
+  });
+  return input;
+};
+
+AudioSettings.prototype.updateButton = function() {
+  this.button.textContent = "";
+  this.button.appendChild(icon(this.sounds.settings.muted ? "mute" : "sound"));
+};
@@ -0,0 +1,202 @@
+/*
+ ============================
+ Dodge
+ ============================
+ A second game mode. Blocks fall from the top of the screen. The player moves left and right
+ along the bottom to stay out of their way, and every block that falls past scores a point.
+ The longer the game goes on, the faster the blocks fall and the more of them fall at once.
+ One hit and the game is over.
+
+ This mode started out as a standalone page. A `DodgeGame` has the `animate`, `isFinished` and
+ `status` of a `Level`, so `runLevel` runs it with a `DodgeDisplay`. That way it gets the same
+ keys, touch and controller input, pause menu, sounds and fixed time step as the platformer.
+ The "dodging" and "dodgeOver" scenes in js/scenes.js start it and show the score.
+*/
+
+"use strict";
+
+var dodgeStorageKey = "dodgeBest";
+
+// Sizes are in squares, speeds in squares per second and times in seconds
+var dodgeSettings = {
+  width: 10,
+  height: 10,
+  playerSpeed: 6,
+  blockSize: 1,
+  // The falling speed starts at `fallSpeed` and grows by `speedUp` every second
+  fallSpeed: 3.6,
+  speedUp: 0.1,
+  // One more block falls every `blockEvery` seconds, up to `maxBlocks`
+  blocks: 5,
+  maxBlocks: 12,
+  blockEvery: 10,
+  // How long the hit is shown before the game ends
+  finishDelay: 1
+};
+
+/*
+DodgeGame object
+
+Created with an optional seed for its random number generator, like `Level`.
+
+Properties:
+width, height: the size of the field
+time: the number of seconds the game has been going
+score: the number of blocks dodged
+player, blocks: `{pos, size}` objects for the player and the falling blocks
+status: `null` while playing, "lost" once the player has been hit
+finishDelay: keeps the game going for a moment after the hit
+sounds, events: set by `runLevel`, as for a level
+*/
+function DodgeGame(seed) {
+  this.width = dodgeSettings.width;
+  this.height = dodgeSettings.height;
+  this.random = seed == null ? Math.random : seededRandom(seed);
+  this.time = 0;
+  this.score = 0;
+  this.player = {
+    pos: new Vector((this.width - 1) / 2, this.height - 1),
+    size: new Vector(1, 1)
+  };
+  this.blocks = [];
+  for (var i = 0; i < dodgeSettings.blocks; i++)
+    this.addBlock();
+  this.status = this.finishDelay = null;
+  this.sounds = null;
+  this.events = null;
+}
+
+DodgeGame.prototype.addBlock = function() {
+  var size = dodgeSettings.blockSize;
+  var block = {pos: null, size: new Vector(size, size)};
+  this.dropBlock(block);
+  this.blocks.push(block);
+};
+
+// Put `block` back above the top of the field, at a random place. The height it starts at is
+// random too, so the blocks do not fall in rows.
+DodgeGame.prototype.dropBlock = function(block) {
+  block.pos = new Vector(this.random() * (this.width - block.size.x),
+    -block.size.y - this.random() * this.height);
+};
+
+DodgeGame.prototype.fallSpeed = function() {
+  return dodgeSettings.fallSpeed + this.time * dodgeSettings.speedUp;
+};
+
+DodgeGame.prototype.animate = function(step, keys) {
+  if (this.status != null) {
+    this.finishDelay -= step;
+    return;
+  }
+  this.time += step;
+
+  var player = this.player;
+  var direction = (keys.right ? 1 : 0) - (keys.left ? 1 : 0);
+  var x = player.pos.x + direction * dodgeSettings.playerSpeed * step;
+  player.pos = new Vector(Math.max(0, Math.min(this.width - player.size.x, x)), player.pos.y);
+
+  var wanted = Math.min(dodgeSettings.maxBlocks,
+    dodgeSettings.blocks + Math.floor(this.time / dodgeSettings.blockEvery));
+  while (this.blocks.length < wanted)
+    this.addBlock();
+
+  var fall = new Vector(0, this.fallSpeed() * step);
+  this.blocks.forEach(function(block) {
+    block.pos = block.pos.plus(fall);
+    if (block.pos.y > this.height) {
+      this.dropBlock(block);
+      this.score++;
+    }
+    if (this.status == null && overlaps(player, block)) {
+      this.status = "lost";
+      this.finishDelay = dodgeSettings.finishDelay;
+      this.playSound("die");
+      this.emit("playerDied", {cause: "block"});
+    }
+  }, this);
+};
+
+DodgeGame.prototype.isFinished = function() {
+  return this.status != null && this.finishDelay < 0;
+};
+
+DodgeGame.prototype.playSound = Level.prototype.playSound;
+DodgeGame.prototype.emit = Level.prototype.emit;
+
+function overlaps(a, b) {
+  return a.pos.x < b.pos.x + b.size.x && a.pos.x + a.size.x > b.pos.x &&
+    a.pos.y < b.pos.y + b.size.y && a.pos.y + a.size.y > b.pos.y;
+}
+
+/*
+DodgeDisplay object
+
+Draws a `DodgeGame` on a canvas that fills as much of the window as it can, in the colours
+of the current palette: the blocks look like lava.
+*/
+function DodgeDisplay(parent, game) {
+  this.canvas = parent.appendChild(elt("canvas", "game"));
+  this.cx = this.canvas.getContext("2d");
+  this.game = game;
+  this.resize();
+  this.resizer = trackResize(this.resize.bind(this));
+}
+
+DodgeDisplay.prototype.resize = function() {
+  var ratio = window.devicePixelRatio || 1;
+  var game = this.game;
+  var scale = fitScale(new Vector(game.width, game.height));
+  this.pixelScale = Math.round(scale * ratio);
+  this.canvas.style.width = game.width * scale + "px";
+  this.canvas.style.height = game.height * scale + "px";
+  this.canvas.width = game.width * this.pixelScale;
+  this.canvas.height = game.height * this.pixelScale;
+  this.drawFrame(0);
+};
+
+DodgeDisplay.prototype.drawFrame = function() {
+  var cx = this.cx,
+    game = this.game,
+    scale = this.pixelScale;
+  function draw(thing) {
+    cx.fillRect(thing.pos.x * scale, thing.pos.y * scale,
+      thing.size.x * scale, thing.size.y * scale);
+  }
+
+  cx.fillStyle = paletteColor(cx, "background");
+  cx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+  cx.fillStyle = paletteColor(cx, "lava");
+  game.blocks.forEach(draw);
+  cx.fillStyle = paletteColor(cx, game.status == "lost" ? "lostPlayer" : "player");
+  draw(game.player);
+
+  cx.fillStyle = paletteColor(cx, "wall");
+  cx.font = Math.round(scale / 2) + "px sans-serif";
+  cx.fillText("Score: " + game.score, scale / 4, scale * 0.75);
+};
+
+DodgeDisplay.prototype.clear = function() {
+  this.resizer.unregister();
+  this.canvas.parentNode.removeChild(this.canvas);
+};
+
+function loadDodgeBest() {
+  try {
+    return Number(localStorage.getItem(dodgeStorageKey)) || 0;
+  } catch (e) {
+    return 0;
+  }
+}
+
+// Save `score` if it beats the best score so far. Returns the best score.
+function saveDodgeScore(score) {
+  var best = loadDodgeBest();
+  if (score <= best) return best;
+  try {
+    localStorage.setItem(dodgeStorageKey, String(score));
+  } catch (e) {
+    // Without storage the best score is simply not kept.
+  }
+  return score;
+}
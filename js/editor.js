@@ -0,0 +1,398 @@
+/*
+ ============================
+ Level editor
+ ============================
+ Open index.html#editor to design levels instead of playing them.
+
+ Pick a brush from the palette and paint on the grid with the mouse or a finger. The level being
+ edited can be played straight away with `runLevel`, and plans are imported and exported in the
+ same string-array format the `Level` constructor accepts, so an exported plan can be pasted into
+ the `plan` of a level file (see js/levels.js).
+
+ Drafts are stored in local storage under their name and saved after every change, so work
+ survives a reload.
+*/
+
+"use strict";
+
+// The characters the editor can paint, with a short description for the palette
+var editorBrushes = [
+  {ch: " ", label: "Empty"},
+  {ch: "x", label: "Wall"},
+  {ch: "!", label: "Lava"},
+  {ch: "=", label: "Lava ↔"},
+  {ch: "|", label: "Lava ↕"},
+  {ch: "v", label: "Dripping lava"},
+  {ch: "o", label: "Coin"},
+  {ch: "-", label: "Platform ↔"},
+  {ch: "^", label: "Platform ↕"},
+  {ch: "e", label: "Enemy"},
+  {ch: "c", label: "Checkpoint"},
+  {ch: "d", label: "Exit door"},
+  {ch: "j", label: "Double jump"},
+  {ch: "s", label: "Speed boost"},
+  {ch: "h", label: "Shield"},
+  {ch: "g", label: "Low gravity"},
+  {ch: "@", label: "Player"}
+];
+
+var editorStorageKey = "levelEditorDrafts";
+var editorDefaultWidth = 40,
+  editorDefaultHeight = 15;
+
+/*
+LevelEditor object
+
+Created by giving it a parent element to which it appends itself.
+
+Properties:
+cells: an array of arrays holding one plan character per square
+brush: the character currently being painted
+draftName: the name under which the current plan is saved in local storage
+*/
+function LevelEditor(parent) {
+  this.parent = parent;
+  this.wrap = parent.appendChild(elt("div", "editor"));
+  this.brush = "x";
+  this.painting = false;
+
+  this.drafts = loadEditorDrafts();
+  var names = Object.keys(this.drafts);
+  if (names.length > 0) {
+    this.draftName = names[0];
+    this.cells = planToCells(this.drafts[this.draftName]);
+  } else {
+    this.draftName = "Untitled";
+    this.cells = emptyCells(editorDefaultWidth, editorDefaultHeight);
+  }
+
+  this.wrap.appendChild(this.drawToolbar());
+  this.wrap.appendChild(this.drawPalette());
+  this.canvasWrap = this.wrap.appendChild(elt("div", "editor-grid"));
+  this.canvas = this.canvasWrap.appendChild(elt("canvas"));
+  this.cx = this.canvas.getContext("2d");
+  this.message = this.wrap.appendChild(elt("pre", "editor-message"));
+  this.planText = this.wrap.appendChild(elt("textarea", "editor-plan"));
+  this.planText.spellcheck = false;
+
+  this.canvas.addEventListener("pointerdown", this.startPainting.bind(this));
+  this.canvas.addEventListener("pointermove", this.continuePainting.bind(this));
+  this.canvas.addEventListener("pointerup", this.stopPainting.bind(this));
+  this.canvas.addEventListener("pointercancel", this.stopPainting.bind(this));
+
+  loadSprites(this.drawGrid.bind(this));
+  this.update();
+}
+
+function emptyCells(width, height) {
+  var cells = [];
+  for (var y = 0; y < height; y++) {
+    var row = [];
+    for (var x = 0; x < width; x++)
+      row.push(" ");
+    cells.push(row);
+  }
+  return cells;
+}
+
+function planToCells(plan) {
+  return plan.map(function(line) {
+    return line.split("");
+  });
+}
+
+function loadEditorDrafts() {
+  try {
+    return JSON.parse(localStorage.getItem(editorStorageKey)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+// The plan in the format the `Level` constructor accepts
+LevelEditor.prototype.plan = function() {
+  return this.cells.map(function(row) {
+    return row.join("");
+  });
+};
+
+LevelEditor.prototype.drawToolbar = function() {
+  var bar = elt("div", "editor-toolbar");
+  var editor = this;
+
+  function button(label, action) {
+    var b = bar.appendChild(elt("button"));
+    b.textContent = label;
+    b.addEventListener("click", action.bind(editor));
+    return b;
+  }
+
+  this.draftSelect = bar.appendChild(elt("select"));
+  this.draftSelect.addEventListener("change", function() {
+    editor.openDraft(editor.draftSelect.value);
+  });
+  button("New", this.newDraft);
+  button("Rename", this.renameDraft);
+  button("Delete", this.deleteDraft);
+
+  this.widthInput = bar.appendChild(elt("input"));
+  this.heightInput = bar.appendChild(elt("input"));
+  [this.widthInput, this.heightInput].forEach(function(input) {
+    input.type = "number";
+    input.min = 3;
+    input.max = 300;
+    input.addEventListener("change", function() {
+      editor.resize(Number(editor.widthInput.value), Number(editor.heightInput.value));
+    });
+  });
+  this.widthInput.title = "Width";
+  this.heightInput.title = "Height";
+
+  button("Import", this.importPlan);
+  button("Export", this.exportPlan);
+  button("Play", this.play);
+  return bar;
+};
+
+LevelEditor.prototype.drawPalette = function() {
+  var palette = elt("div", "editor-palette");
+  var editor = this;
+  this.brushButtons = editorBrushes.map(function(brush) {
+    var b = palette.appendChild(elt("button"));
+    b.textContent = (brush.ch == " " ? "␣" : brush.ch) + " " + brush.label;
+    b.addEventListener("click", function() {
+      editor.brush = brush.ch;
+      editor.updatePalette();
+    });
+    return b;
+  });
+  return palette;
+};
+
+LevelEditor.prototype.updatePalette = function() {
+  var editor = this;
+  this.brushButtons.forEach(function(b, i) {
+    b.className = editorBrushes[i].ch == editor.brush ? "selected" : "";
+  });
+};
+
+// Redraw everything and save the draft. Called after every change.
+LevelEditor.prototype.update = function() {
+  this.drafts[this.draftName] = this.plan();
+  try {
+    localStorage.setItem(editorStorageKey, JSON.stringify(this.drafts));
+  } catch (e) {
+    this.showMessage("Could not save the draft: " + e.message);
+  }
+
+  this.draftSelect.textContent = "";
+  Object.keys(this.drafts).forEach(function(name) {
+    var option = this.draftSelect.appendChild(elt("option"));
+    option.value = option.textContent = name;
+  }, this);
+  this.draftSelect.value = this.draftName;
+  this.widthInput.value = this.cells[0].length;
+  this.heightInput.value = this.cells.length;
+  this.updatePalette();
+  this.drawGrid();
+};
+
+LevelEditor.prototype.drawGrid = function() {
+  var cx = this.cx;
+  this.canvas.width = this.cells[0].length * scale;
+  this.canvas.height = this.cells.length * scale;
+  cx.fillStyle = canvasColors.background;
+  cx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+  cx.font = (scale - 6) + "px monospace";
+  cx.textAlign = "center";
+  cx.textBaseline = "middle";
+
+  this.cells.forEach(function(row, y) {
+    row.forEach(function(ch, x) {
+      drawEditorSquare(cx, ch, x * scale, y * scale);
+    });
+  });
+
+  // Faint grid lines make it easier to count squares
+  cx.strokeStyle = "rgba(255, 255, 255, 0.2)";
+  cx.beginPath();
+  for (var x = 0; x <= this.canvas.width; x += scale) {
+    cx.moveTo(x + 0.5, 0);
+    cx.lineTo(x + 0.5, this.canvas.height);
+  }
+  for (var y = 0; y <= this.canvas.height; y += scale) {
+    cx.moveTo(0, y + 0.5);
+    cx.lineTo(this.canvas.width, y + 0.5);
+  }
+  cx.stroke();
+};
+
+// Draw one square of the plan. Moving lava, platforms and power-ups are drawn with their plan
+// character on top, so the different kinds can be told apart.
+function drawEditorSquare(cx, ch, x, y) {
+  if (ch == " ") return;
+  var type = gridChars[ch] ||
+    (actorChars[ch] && actorChars[ch].prototype.type);
+  if (type == "player") {
+    drawSprite(cx, "player", x + 2, y, scale - 4, scale);
+  } else if (type == "coin") {
+    drawSprite(cx, "coin", x + 4, y + 4, scale - 8, scale - 8);
+  } else if (type == "powerup") {
+    drawSprite(cx, powerUpChars[ch], x + 4, y + 4, scale - 8, scale - 8);
+  } else if (type) {
+    drawSprite(cx, type, x, y, scale, scale);
+  }
+  if (actorChars[ch] && (type == "lava" || type == "platform" || type == "powerup")) {
+    cx.fillStyle = type == "powerup" ? "black" : "white";
+    cx.fillText(ch, x + scale / 2, y + scale / 2);
+  }
+}
+
+LevelEditor.prototype.squareAt = function(event) {
+  var rect = this.canvas.getBoundingClientRect();
+  return new Vector(Math.floor((event.clientX - rect.left) / scale),
+    Math.floor((event.clientY - rect.top) / scale));
+};
+
+LevelEditor.prototype.paint = function(event) {
+  var square = this.squareAt(event);
+  var row = this.cells[square.y];
+  if (!row || square.x < 0 || square.x >= row.length || row[square.x] == this.brush)
+    return;
+  // There can only be one player, so painting `@` moves it
+  if (this.brush == "@") {
+    this.cells.forEach(function(row) {
+      row.forEach(function(ch, x) {
+        if (ch == "@") row[x] = " ";
+      });
+    });
+  }
+  row[square.x] = this.brush;
+  this.update();
+};
+
+LevelEditor.prototype.startPainting = function(event) {
+  event.preventDefault();
+  this.painting = true;
+  this.canvas.setPointerCapture(event.pointerId);
+  this.paint(event);
+};
+
+LevelEditor.prototype.continuePainting = function(event) {
+  if (this.painting) this.paint(event);
+};
+
+LevelEditor.prototype.stopPainting = function() {
+  this.painting = false;
+};
+
+// Change the size of the grid, keeping the top-left part of the plan
+LevelEditor.prototype.resize = function(width, height) {
+  if (!(width >= 3 && height >= 3)) return;
+  var cells = emptyCells(width, height);
+  this.cells.forEach(function(row, y) {
+    row.forEach(function(ch, x) {
+      if (y < height && x < width) cells[y][x] = ch;
+    });
+  });
+  this.cells = cells;
+  this.update();
+};
+
+LevelEditor.prototype.showMessage = function(text) {
+  this.message.textContent = text;
+};
+
+LevelEditor.prototype.openDraft = function(name) {
+  this.draftName = name;
+  this.cells = planToCells(this.drafts[name]);
+  this.showMessage("");
+  this.update();
+};
+
+LevelEditor.prototype.newDraft = function() {
+  var n = 1;
+  while (this.drafts.hasOwnProperty("Untitled " + n)) n++;
+  this.draftName = "Untitled " + n;
+  this.cells = emptyCells(editorDefaultWidth, editorDefaultHeight);
+  this.update();
+};
+
+LevelEditor.prototype.renameDraft = function() {
+  var name = prompt("Draft name", this.draftName);
+  if (!name || name == this.draftName) return;
+  // Taking the name of another draft replaces that draft, so ask first
+  if (this.drafts.hasOwnProperty(name) &&
+      !confirm("There is already a draft called \"" + name + "\". Replace it?")) return;
+  delete this.drafts[this.draftName];
+  this.draftName = name;
+  this.update();
+};
+
+LevelEditor.prototype.deleteDraft = function() {
+  if (!confirm("Delete the draft \"" + this.draftName + "\"?")) return;
+  delete this.drafts[this.draftName];
+  var names = Object.keys(this.drafts);
+  if (names.length > 0)
+    this.openDraft(names[0]);
+  else
+    this.newDraft();
+};
+
+// Read a plan from the text area. Both a bare plan (a JSON array of strings) and
+// a whole level file are accepted. Problems with the plan are reported, but do not stop
+// the import—ragged rows are padded with empty space, and the rest can be fixed in the editor.
+LevelEditor.prototype.importPlan = function() {
+  var plan;
+  try {
+    plan = JSON.parse(this.planText.value);
+  } catch (e) {
+    this.showMessage("Could not read the plan: " + e.message);
+    return;
+  }
+  if (plan && !Array.isArray(plan)) plan = plan.plan;
+  if (!Array.isArray(plan) || plan.length == 0 ||
+      !plan.every(function(row) { return typeof row == "string"; })) {
+    this.showMessage("A plan must be a non-empty array of strings.");
+    return;
+  }
+
+  this.showMessage(validatePlan(plan).map(formatLevelProblem).join("\n"));
+  var width = Math.max.apply(null, plan.map(function(row) {
+    return row.length;
+  }));
+  this.cells = planToCells(plan).map(function(row) {
+    while (row.length < width) row.push(" ");
+    return row;
+  });
+  this.update();
+};
+
+// Write the plan to the text area, one row per line, ready to paste into a level file
+LevelEditor.prototype.exportPlan = function() {
+  this.planText.value = "[\n" + this.plan().map(function(row) {
+    return "  " + JSON.stringify(row);
+  }).join(",\n") + "\n]";
+  this.planText.select();
+};
+
+// Play the level being edited, returning to the editor once it is won, lost or quit
+LevelEditor.prototype.play = function() {
+  var plan = this.plan();
+  var problems = validatePlan(plan);
+  if (problems.length > 0) {
+    this.showMessage(problems.map(formatLevelProblem).join("\n"));
+    return;
+  }
+  var editor = this;
+  this.wrap.style.display = "none";
+  runLevel(new Level(plan), DOMDisplay, function(status) {
+    editor.wrap.style.display = "";
+    if (status == "restart")
+      editor.play();
+    else if (status == "quit")
+      editor.showMessage("");
+    else
+      editor.showMessage(status == "won" ? "Level won!" : "Level lost.");
+  }, {quitLabel: "Quit to the editor"});
+};
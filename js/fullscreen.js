@@ -0,0 +1,68 @@
+/*
+ ============================
+ Fullscreen
+ ============================
+ A button in the corner of the screen switches fullscreen on and off with the Fullscreen API.
+ In fullscreen, the screen is locked to landscape where the browser supports it, since the
+ levels are much wider than they are high. The installed app asks for landscape in
+ manifest.json instead.
+
+ The displays resize themselves when the window changes size (see `trackResize` in snake.js),
+ so nothing else needs to happen when going in or out of fullscreen.
+*/
+
+"use strict";
+
+// Safari only has the prefixed versions
+function fullscreenElement() {
+  return document.fullscreenElement || document.webkitFullscreenElement || null;
+}
+
+function fullscreenEnabled() {
+  return !!(document.fullscreenEnabled || document.webkitFullscreenEnabled);
+}
+
+function enterFullscreen() {
+  var root = document.documentElement;
+  var request = root.requestFullscreen ? root.requestFullscreen() : root.webkitRequestFullscreen();
+  // Older versions of Safari return nothing instead of a promise
+  Promise.resolve(request).then(lockLandscape, function() {});
+}
+
+function exitFullscreen() {
+  if (document.exitFullscreen)
+    document.exitFullscreen().catch(function() {});
+  else
+    document.webkitExitFullscreen();
+}
+
+// Locking the orientation only works in fullscreen, and not at all on desktops,
+// so failing is expected and fine.
+function lockLandscape() {
+  var orientation = window.screen && screen.orientation;
+  if (orientation && orientation.lock)
+    orientation.lock("landscape").catch(function() {});
+}
+
+// The fullscreen button. It is left out where the Fullscreen API is not available
+// (on iPhones, for example).
+function FullscreenToggle(parent) {
+  if (!fullscreenEnabled()) return;
+  var button = this.button = parent.appendChild(elt("button", "fullscreen-button"));
+  button.setAttribute("aria-label", "Fullscreen");
+  button.appendChild(icon("fullscreen"));
+  button.addEventListener("click", function() {
+    if (fullscreenElement())
+      exitFullscreen();
+    else
+      enterFullscreen();
+  });
+
+  // Fullscreen can also be left with Esc or the browser's own controls
+  function update() {
+    button.setAttribute("aria-pressed", String(fullscreenElement() != null));
+  }
+  document.addEventListener("fullscreenchange", update);
+  document.addEventListener("webkitfullscreenchange", update);
+  update();
+}
@@ -0,0 +1,98 @@
+/*
+ ============================
+ Gamepad input
+ ============================
+ The Gamepad API has no events for buttons and sticks, so the connected controllers are polled
+ with `navigator.getGamepads()` once per animation frame. The buttons are read using the
+ "standard" mapping most browsers provide: the D-pad and the left stick move, A (or D-pad up)
+ jumps, and Start pauses.
+
+ The gamepad keeps its own `left`/`right`/`up` flags rather than writing into the object
+ `trackKeys` returns, so that releasing a button on one device does not cancel a key held on
+ the other. `combineKeys` merges the two before they are handed to `Level.animate`.
+*/
+
+"use strict";
+
+// Indices in `gamepad.buttons` for the standard mapping
+var gamepadButtons = {
+  a: 0,
+  start: 9,
+  up: 12,
+  left: 14,
+  right: 15
+};
+// Stick positions closer to the centre than this are ignored, since worn sticks
+// rarely rest at exactly zero.
+var stickDeadzone = 0.25;
+
+// Start polling the controllers. `onStart` is called when Start is pressed, and `onDisconnect`
+// when a controller that was in use disconnects, so the player is not left running into lava.
+// Controllers connected mid-level are simply picked up by the next poll.
+// Returns the current flags, with an `unregister` method that stops the polling.
+function trackGamepad(onStart, onDisconnect) {
+  var pressed = {left: false, right: false, up: false};
+  if (!navigator.getGamepads)
+    return Object.assign(pressed, {unregister: function() {}});
+
+  var startWasDown = false;
+  var frameId = null;
+
+  function isDown(pad, name) {
+    var button = pad.buttons[gamepadButtons[name]];
+    return !!button && button.pressed;
+  }
+
+  function poll() {
+    var left = false,
+      right = false,
+      up = false,
+      start = false;
+    var pads = navigator.getGamepads();
+    for (var i = 0; i < pads.length; i++) {
+      var pad = pads[i];
+      if (!pad || !pad.connected) continue;
+      var stick = pad.axes.length > 0 ? pad.axes[0] : 0;
+      left = left || isDown(pad, "left") || stick < -stickDeadzone;
+      right = right || isDown(pad, "right") || stick > stickDeadzone;
+      up = up || isDown(pad, "a") || isDown(pad, "up");
+      start = start || isDown(pad, "start");
+    }
+    pressed.left = left;
+    pressed.right = right;
+    pressed.up = up;
+
+    // Only a fresh press of Start counts, not holding it down
+    if (start && !startWasDown) onStart();
+    startWasDown = start;
+    frameId = requestAnimationFrame(poll);
+  }
+
+  function disconnected() {
+    var wasMoving = pressed.left || pressed.right || pressed.up;
+    pressed.left = pressed.right = pressed.up = false;
+    startWasDown = false;
+    if (wasMoving) onDisconnect();
+  }
+
+  addEventListener("gamepaddisconnected", disconnected);
+  frameId = requestAnimationFrame(poll);
+
+  pressed.unregister = function() {
+    cancelAnimationFrame(frameId);
+    removeEventListener("gamepaddisconnected", disconnected);
+  };
+  return pressed;
+}
+
+// Merge several input sources into one keys object: a key counts as pressed
+// when it is pressed on any of them.
+function combineKeys(sources) {
+  var keys = {};
+  ["left", "right", "up"].forEach(function(key) {
+    keys[key] = sources.some(function(source) {
+      return source[key];
+    });
+  });
+  return keys;
+}
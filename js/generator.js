@@ -0,0 +1,313 @@
+/*
+ ============================
+ Level generator
+ ============================
+ Generates level plans from a seed, in the same string-array format as the hand-made levels.
+ The same seed and difficulty always give the same level. The endless mode and the daily level
+ (see js/scenes.js) are built on it.
+
+ A level is built from left to right out of sections: flat ground, steps up and down, pits
+ with lava at the bottom, lava in the floor, floating ledges and valleys with lava moving along
+ their floor. The difficulty, from 0 to 1, makes the levels longer, the pits wider and the
+ moving lava (`=`, `|` and `v`) more common.
+
+ Every coin in a generated level can be collected. `reachableCoins` works out where the player
+ can get to with the run and jump limits of `playerPhysics` (see snake.js), and coins it cannot
+ reach are left out. Moving lava is not taken into account: it only ever blocks the way for a
+ while.
+*/
+
+"use strict";
+
+var generatorSettings = {
+  height: 16,
+  minWidth: 40,
+  maxWidth: 80,
+  // The range of rows the ground surface stays in
+  highestGround: 7,
+  lowestGround: 14,
+  // A level with fewer coins than this is thrown away and generated again
+  minCoins: 4
+};
+
+// Generate the level definition for `seed`, at `difficulty` (0 for the easiest, 1 for the
+// hardest). The definition can be given to the Level constructor like a level file.
+function generateLevel(seed, difficulty, name) {
+  var random = seededRandom(seed);
+  for (;;) {
+    var plan = generatePlan(random, difficulty);
+    if (countCoins(plan) >= generatorSettings.minCoins)
+      return {name: name || "Generated level", author: "Level generator", plan: plan};
+  }
+}
+
+// Build one plan with `random`, removing the coins the player could not reach
+function generatePlan(random, difficulty) {
+  var settings = generatorSettings;
+  var height = settings.height;
+  var width = Math.round(settings.minWidth + difficulty * (settings.maxWidth - settings.minWidth));
+  var cells = [];
+  for (var y = 0; y < height; y++) {
+    cells.push([]);
+    for (var x = 0; x < width; x++)
+      cells[y].push(" ");
+  }
+
+  function between(min, max) {
+    return min + Math.floor(random() * (max - min + 1));
+  }
+  function chance(p) {
+    return random() < p;
+  }
+  function setCell(x, y, ch) {
+    if (x >= 0 && x < width && y >= 0 && y < height) cells[y][x] = ch;
+  }
+  // Fill column `x` with wall from row `top` down
+  function ground(x, top) {
+    for (var y = top; y < height; y++)
+      setCell(x, y, "x");
+  }
+  function coin(x, y) {
+    if (cells[y] && cells[y][x] == " ") setCell(x, y, "o");
+  }
+  // Put a coin over some of the ground from `start` to `end`, at a height reached by walking
+  // or by jumping
+  function coins(start, end, top) {
+    for (var x = start; x < end; x++)
+      if (chance(0.4)) coin(x, top - between(1, 3));
+  }
+
+  var top = between(settings.lowestGround - 3, settings.lowestGround - 1);
+  var x = 0;
+  for (; x < 4; x++)
+    ground(x, top);
+  setCell(1, top - 1, "@");
+
+  var sections = [
+    {weight: 3, build: flat},
+    {weight: 2, build: step},
+    {weight: 2 + 2 * difficulty, build: pit},
+    {weight: 1 + difficulty, build: lavaFloor},
+    {weight: 2, build: ledge},
+    {weight: 2 * difficulty, build: valley}
+  ];
+  var totalWeight = sections.reduce(function(sum, section) {
+    return sum + section.weight;
+  }, 0);
+  while (x < width - 4) {
+    var pick = random() * totalWeight;
+    for (var i = 0; pick >= sections[i].weight; i++)
+      pick -= sections[i].weight;
+    sections[i].build();
+  }
+  // The last columns are flat ground, so the level does not end in a pit
+  for (; x < width; x++)
+    ground(x, top);
+
+  function flat() {
+    var end = x + between(3, 6);
+    coins(x, end, top);
+    // Lava bouncing between the ground and the top of the level
+    if (chance(0.5 * difficulty)) setCell(x + 1, top - 1, "|");
+    for (; x < end; x++)
+      ground(x, top);
+  }
+
+  function step() {
+    var change = between(1, 2) * (chance(0.5) ? -1 : 1);
+    top = Math.max(settings.highestGround, Math.min(settings.lowestGround, top + change));
+    flat();
+  }
+
+  function pit() {
+    var end = x + between(2, 2 + Math.round(2 * difficulty));
+    if (chance(difficulty)) setCell(between(x, end - 1), 0, "v");
+    for (; x < end; x++)
+      setCell(x, height - 1, "!");
+    ground(x++, top);
+  }
+
+  function lavaFloor() {
+    var end = x + between(1, 2);
+    for (; x < end; x++) {
+      ground(x, top);
+      setCell(x, top, "!");
+    }
+    ground(x++, top);
+  }
+
+  // A ledge in the air, with coins on it, over a stretch of flat ground. The ground is left
+  // clear of ledges at both ends, so jumping on from there is never cut short by it.
+  function ledge() {
+    var length = between(3, 5);
+    var ledgeTop = top - 3;
+    for (var end = x + length + 4; x < end; x++) {
+      ground(x, top);
+      if (x >= end - length - 2 && x < end - 2) {
+        setCell(x, ledgeTop, "x");
+        coin(x, ledgeTop - 1);
+      }
+    }
+  }
+
+  // A dip in the ground with lava moving back and forth along its floor
+  function valley() {
+    if (top + 2 > settings.lowestGround) return flat();
+    var end = x + between(4, 6);
+    ground(x++, top);
+    setCell(x + 1, top + 1, "=");
+    for (; x < end; x++) {
+      ground(x, top + 2);
+      if (chance(0.5)) coin(x, top);
+    }
+    ground(x++, top);
+  }
+
+  var plan = cells.map(function(row) {
+    return row.join("");
+  });
+  var reachable = reachableCoins(plan);
+  return plan.map(function(row, y) {
+    return row.replace(/o/g, function(ch, x) {
+      return reachable.has(x + "," + y) ? ch : " ";
+    });
+  });
+}
+
+function countCoins(plan) {
+  return plan.join("").split("o").length - 1;
+}
+
+/*
+Reachability
+
+The player can stand on any empty square above a wall square. From there, they can walk to the
+squares next to it and jump to any other standing place within the limits below, as long as
+nothing is in the way. The limits are derived from `playerPhysics`, with a good margin, since
+nobody plays perfectly:
+
+- a jump can go up at most `maxRise` rows, a row less than the jump height
+- a jump (or fall) covers at most 60% of the distance running at full speed for as long as the
+  player is in the air, after leaving room for the player's width
+- the squares the player passes through, plus the jump height above them, must be clear
+
+A coin can be collected if it is in or next to a column the player can stand in, no higher
+than the player reaches when jumping from there.
+*/
+
+// Whether the player can pass through the square at `x`, `y`. Moving actors are ignored.
+function passable(plan, x, y) {
+  if (y < 0) return true;
+  var ch = plan[y] && plan[y][x];
+  return ch != null && !gridChars[ch];
+}
+
+// Whether the player can stand on the square at `x`, `y`
+function standable(plan, x, y) {
+  return passable(plan, x, y) && passable(plan, x, y - 1) &&
+    y + 1 < plan.length && gridChars[plan[y + 1][x]] == "wall";
+}
+
+// The jump limits of `physics`. `reach(rise)` gives the greatest horizontal distance, in
+// columns, from one standing place to another `rise` rows higher (or lower, when negative).
+function jumpLimits(physics) {
+  var jumpHeight = physics.jumpSpeed * physics.jumpSpeed / (2 * physics.gravity);
+  return {
+    headroom: Math.ceil(jumpHeight),
+    maxRise: Math.floor(jumpHeight) - 1,
+    reach: function(rise) {
+      var v = physics.jumpSpeed,
+        g = physics.gravity;
+      var airTime = (v + Math.sqrt(v * v - 2 * g * rise)) / g;
+      return Math.min(8, Math.floor(0.6 * physics.xSpeed * airTime + 1.8));
+    }
+  };
+}
+
+// The set of coins (as "x,y" strings) the player can collect in `plan`
+function reachableCoins(plan, physics) {
+  var limits = jumpLimits(physics || playerPhysics);
+  var height = plan.length,
+    width = plan[0].length;
+  var start = null;
+  plan.forEach(function(row, y) {
+    var x = row.indexOf("@");
+    if (x >= 0) start = {x: x, y: y};
+  });
+
+  // Whether every square the player passes through jumping from `from` to `to` is clear
+  function clearPath(from, to) {
+    var top = Math.min(from.y, to.y) - 1 - limits.headroom;
+    for (var x = Math.min(from.x, to.x); x <= Math.max(from.x, to.x); x++) {
+      var bottom = x == from.x ? from.y : x == to.x ? to.y : Math.max(from.y, to.y);
+      for (var y = top; y <= bottom; y++)
+        if (!passable(plan, x, y)) return false;
+    }
+    return true;
+  }
+
+  var seen = new Set([start.x + "," + start.y]);
+  var work = [start];
+  var places = [];
+  while (work.length > 0) {
+    var place = work.pop();
+    places.push(place);
+    for (var x = Math.max(0, place.x - 8); x <= Math.min(width - 1, place.x + 8); x++) {
+      for (var y = Math.max(1, place.y - limits.maxRise); y < height; y++) {
+        var key = x + "," + y;
+        if (seen.has(key) || !standable(plan, x, y)) continue;
+        var next = {x: x, y: y};
+        var walk = Math.abs(x - place.x) == 1 && y == place.y;
+        var jump = Math.abs(x - place.x) <= limits.reach(place.y - y) && clearPath(place, next);
+        if (walk || jump) {
+          seen.add(key);
+          work.push(next);
+        }
+      }
+    }
+  }
+
+  var coins = new Set();
+  places.forEach(function(place) {
+    for (var x = place.x - 1; x <= place.x + 1; x++) {
+      for (var y = place.y; y >= place.y - 1 - limits.maxRise; y--) {
+        if (!passable(plan, x, y) || !passable(plan, place.x, y)) break;
+        if (plan[y] && plan[y][x] == "o") coins.add(x + "," + y);
+      }
+    }
+  });
+  return coins;
+}
+
+// Levels for the endless mode get harder with every level, up to the hardest after
+// `endlessRamp` levels. Level `n` (counted from 0) of the run with `seed` is always the same.
+var endlessRamp = 10;
+
+function endlessLevel(seed, n) {
+  return generateLevel((seed + n * 0x9E3779B9) >>> 0, Math.min(1, n / endlessRamp),
+    "Endless " + (n + 1));
+}
+
+// The daily level is seeded with the local date, so everyone playing on the same day gets the
+// same level, and it is generated offline like any other
+var dailyDifficulty = 0.5;
+
+function dateKey(date) {
+  function pad(n) {
+    return (n < 10 ? "0" : "") + n;
+  }
+  return date.getFullYear() + "-" + pad(date.getMonth() + 1) + "-" + pad(date.getDate());
+}
+
+// A 32-bit FNV-1a hash, to turn a string into a seed
+function hashString(string) {
+  var hash = 0x811C9DC5;
+  for (var i = 0; i < string.length; i++)
+    hash = Math.imul(hash ^ string.charCodeAt(i), 0x01000193);
+  return hash >>> 0;
+}
+
+function dailyLevel(date) {
+  var key = dateKey(date || new Date());
+  return generateLevel(hashString(key), dailyDifficulty, "Daily level " + key);
+}
@@ -0,0 +1,79 @@
+/*
+ ============================
+ HUD and game screens
+ ============================
+ The HUD is an overlay on top of the game showing the lives left, the level number,
+ the coins still to collect, the time spent on the level, the score with the current
+ coin streak multiplier, and the time left on each active power-up. One is created for the
+ whole run (see `GameRun` in js/scenes.js) and `runLevel` updates it every frame.
+
+ Game screens replace the "Game Over!" and "You win!" console messages with an in-game
+ overlay the player has to dismiss before the game moves on.
+*/
+
+"use strict";
+
+/*
+Hud object
+
+Created by giving it a parent element to which it appends itself.
+
+Properties:
+lives: the number of lives left, set before each level
+levelNumber: the number of the level being played, counted from 1
+score: the run's score before the current level, to which the level's own score is added
+*/
+function Hud(parent) {
+  this.wrap = parent.appendChild(elt("div", "hud"));
+  this.lives = 0;
+  this.levelNumber = 1;
+  this.score = 0;
+  this.fields = {};
+  ["lives", "level", "coins", "time", "score", "powerups"].forEach(function(name) {
+    this.fields[name] = this.wrap.appendChild(elt("span", "hud-" + name));
+  }, this);
+}
+
+// Show the current state of `level`. Only fields that changed are written,
+// since this runs every frame.
+Hud.prototype.update = function(level) {
+  this.setField("lives", "♥ " + this.lives);
+  this.setField("level", "Level " + this.levelNumber);
+  this.setField("coins", "● " + level.coinsLeft());
+  this.setField("time", formatTime(level.time));
+  this.setField("score", Math.max(0, this.score + level.score) +
+    (level.multiplier > 1 ? " ×" + level.multiplier : ""));
+  var active = level.player.powerUps;
+  this.setField("powerups", Object.keys(active).map(function(name) {
+    return powerUps[name].label + " " + Math.ceil(active[name]) + "s";
+  }).join(" · "));
+};
+
+Hud.prototype.setField = function(name, text) {
+  var field = this.fields[name];
+  if (field.textContent != text) field.textContent = text;
+};
+
+Hud.prototype.clear = function() {
+  this.wrap.parentNode.removeChild(this.wrap);
+};
+
+// Show an overlay with a title, a line of details and a button. `andThen` is called
+// once the button is pressed (or Enter is hit) and the overlay has been removed.
+// Returns the overlay element, so callers can add to it.
+function showGameScreen(title, details, buttonLabel, andThen) {
+  var screen = document.body.appendChild(elt("div", "game-screen"));
+  screen.setAttribute("role", "dialog");
+  var heading = screen.appendChild(elt("h1"));
+  heading.textContent = title;
+  var text = screen.appendChild(elt("p"));
+  text.textContent = details;
+  var button = screen.appendChild(elt("button"));
+  button.textContent = buttonLabel;
+  button.addEventListener("click", function() {
+    document.body.removeChild(screen);
+    andThen();
+  });
+  button.focus();
+  return screen;
+}
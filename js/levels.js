@@ -0,0 +1,200 @@
+/*
+ ============================
+ Level files
+ ============================
+ Every level lives in its own JSON file under levels/, listed in order by levels/index.json:
+
+ ```json
+ {
+   "name": "Over the Pits",
+   "author": "Eloquent JavaScript",
+   "timeLimit": 120,
+   "background": "rgb(52, 166, 251)",
+   "speeds": {"=": 2, "|": 2, "v": 3},
+   "physics": {"airAcceleration": 25, "coyoteTime": 0.15},
+   "plan": [
+     "      ",
+     "  @ o ",
+     "xxxxxx"
+   ]
+ }
+ ```
+
+ Only `plan` is required. `timeLimit` is in seconds (`null` for no limit), `background` is any
+ CSS colour, and `speeds` overrides the speed of moving actors (lava, platforms and enemies)
+ per plan character. `physics` tunes how the player moves—acceleration and friction on the
+ ground and in the air, coyote time, jump buffering and how much letting go of jump cuts a
+ jump short (see `playerPhysics` in snake.js for every parameter and its default).
+
+ The loader validates each file before it is turned into a `Level`, and reports every problem
+ it finds with the line (row of the plan) and column where it occurs, both counted from 1.
+ The files are precached by the service worker (sw.js), so they are available offline.
+*/
+
+"use strict";
+
+var levelIndexFile = "levels/index.json";
+
+/*
+LevelFormatError object
+
+Thrown (or rather, used to reject) when a level file is malformed.
+
+Properties:
+file: the URL of the offending level file
+problems: an array of `{line, column, message}` objects; `line` and `column` are `null`
+  for problems that concern the level as a whole
+*/
+function LevelFormatError(file, problems) {
+  this.name = "LevelFormatError";
+  this.file = file;
+  this.problems = problems;
+  this.message = file + ":\n" + problems.map(formatLevelProblem).join("\n");
+  this.stack = new Error(this.message).stack;
+}
+
+LevelFormatError.prototype = Object.create(Error.prototype);
+LevelFormatError.prototype.constructor = LevelFormatError;
+
+function formatLevelProblem(problem) {
+  if (problem.line == null)
+    return "  " + problem.message;
+  return "  line " + problem.line + ", column " + problem.column + ": " + problem.message;
+}
+
+// Check a level definition. Returns an array of problems, which is empty for a valid level.
+function validateLevel(definition) {
+  var problems = [];
+
+  function report(line, column, message) {
+    problems.push({line: line, column: column, message: message});
+  }
+
+  if (!definition || typeof definition != "object") {
+    report(null, null, "a level file must contain a JSON object");
+    return problems;
+  }
+
+  if (definition.name != null && typeof definition.name != "string")
+    report(null, null, "`name` must be a string");
+  if (definition.author != null && typeof definition.author != "string")
+    report(null, null, "`author` must be a string");
+  if (definition.timeLimit != null &&
+      !(typeof definition.timeLimit == "number" && definition.timeLimit > 0))
+    report(null, null, "`timeLimit` must be a positive number of seconds or null");
+  if (definition.background != null && typeof definition.background != "string")
+    report(null, null, "`background` must be a CSS colour string");
+  if (definition.speeds != null) {
+    if (typeof definition.speeds != "object") {
+      report(null, null, "`speeds` must be an object");
+    } else {
+      Object.keys(definition.speeds).forEach(function(ch) {
+        if (!actorSpeeds.hasOwnProperty(ch))
+          report(null, null, "`speeds` has an entry for \"" + ch + "\", which is not a moving actor");
+        else if (typeof definition.speeds[ch] != "number")
+          report(null, null, "`speeds` entry for \"" + ch + "\" must be a number");
+      });
+    }
+  }
+
+  if (definition.physics != null) {
+    if (typeof definition.physics != "object") {
+      report(null, null, "`physics` must be an object");
+    } else {
+      Object.keys(definition.physics).forEach(function(name) {
+        var value = definition.physics[name];
+        if (!playerPhysics.hasOwnProperty(name))
+          report(null, null, "`physics` has an entry for \"" + name + "\", which is not a physics parameter");
+        else if (typeof value != "number" || !(value >= 0))
+          report(null, null, "`physics` entry for \"" + name + "\" must be a number of at least 0");
+        else if (name == "jumpCut" && value > 1)
+          report(null, null, "`physics` entry for \"jumpCut\" must be at most 1");
+      });
+    }
+  }
+
+  var plan = definition.plan;
+  if (!Array.isArray(plan) || plan.length == 0 ||
+      !plan.every(function(row) { return typeof row == "string"; })) {
+    report(null, null, "`plan` must be a non-empty array of strings");
+    return problems;
+  }
+  return problems.concat(validatePlan(plan));
+}
+
+// Check the plan itself: every row must be as wide as the first, there must be exactly one `@`,
+// every character must be known and there must be a way to win—at least one coin or an exit door.
+function validatePlan(plan) {
+  var problems = [];
+  var width = plan[0].length;
+  var playerLine = null,
+    playerColumn = null;
+  var coins = 0,
+    exits = 0;
+
+  function report(line, column, message) {
+    problems.push({line: line, column: column, message: message});
+  }
+
+  plan.forEach(function(row, y) {
+    if (row.length != width)
+      report(y + 1, Math.min(row.length, width) + 1,
+        "row is " + row.length + " characters wide, expected " + width);
+    for (var x = 0; x < row.length; x++) {
+      var ch = row[x];
+      if (ch == "@") {
+        if (playerLine != null)
+          report(y + 1, x + 1, "duplicate \"@\" (the player already starts at line " +
+            playerLine + ", column " + playerColumn + ")");
+        else {
+          playerLine = y + 1;
+          playerColumn = x + 1;
+        }
+      } else if (ch == "o") {
+        coins++;
+      } else if (ch == "d") {
+        exits++;
+      } else if (ch != " " && !actorChars[ch] && !gridChars[ch]) {
+        report(y + 1, x + 1, "unknown character \"" + ch + "\"");
+      }
+    }
+  });
+
+  if (playerLine == null)
+    report(null, null, "missing \"@\": the level has no player start position");
+  if (coins == 0 && exits == 0)
+    report(null, null, "the level has no coins and no exit door, so it can never be won");
+  return problems;
+}
+
+function fetchJSON(url) {
+  return fetch(url).then(function(response) {
+    if (!response.ok)
+      throw new Error("Could not load " + url + " (" + response.status + ")");
+    return response.json().catch(function(error) {
+      throw new LevelFormatError(url, [{line: null, column: null, message: error.message}]);
+    });
+  });
+}
+
+// Load and validate a single level file. The promise resolves to the level definition.
+function loadLevel(url) {
+  return fetchJSON(url).then(function(definition) {
+    var problems = validateLevel(definition);
+    if (problems.length > 0)
+      throw new LevelFormatError(url, problems);
+    return definition;
+  });
+}
+
+// Load every level listed in the index file, in order. Level file names are resolved
+// relative to the index file.
+function loadLevels(indexFile) {
+  indexFile = indexFile || levelIndexFile;
+  var base = indexFile.slice(0, indexFile.lastIndexOf("/") + 1);
+  return fetchJSON(indexFile).then(function(index) {
+    return Promise.all(index.levels.map(function(file) {
+      return loadLevel(base + file);
+    }));
+  });
+}
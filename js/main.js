@@ -2,7 +2,80 @@ window.onload = () => {
   'use strict';
 
   if ('serviceWorker' in navigator) {
+    // On a first visit the worker takes control without anything to update
+    const hadController = !!navigator.serviceWorker.controller;
     navigator.serviceWorker
-             .register('./sw.js');
+             .register('./sw.js')
+             .then(watchForUpdates);
+
+    // Once the new version has taken over, load it
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (!hadController || reloading) return;
+      reloading = true;
+      location.reload();
+    });
+  }
+
+  new AudioSettings(document.body, soundManager);
+  new AccessibilitySettings(document.body, accessibility);
+  new FullscreenToggle(document.body);
+
+  // index.html#editor opens the level editor instead of the game
+  if (location.hash === '#editor') {
+    new LevelEditor(document.body);
+    return;
   }
+  // and index.html#replay lets you watch a saved replay
+  if (location.hash === '#replay') {
+    new ReplayPicker(document.body, DOMDisplay);
+    return;
+  }
+
+  loadLevels()
+    .then(levels => {
+      GAME_LEVELS = levels;
+      new SceneManager(document.body, GAME_LEVELS, DOMDisplay).go('title');
+    })
+    .catch(error => {
+      // Show what is wrong with the level files instead of failing silently
+      const message = document.body.appendChild(document.createElement('pre'));
+      message.className = 'load-error';
+      message.textContent = error.message;
+      console.error(error);
+    });
+}
+
+// A new service worker is "waiting" when a new version of the game has been downloaded but the
+// old one is still running. Only then (and not on the very first install, when there is no
+// controller yet) is the player offered to switch.
+function watchForUpdates(registration) {
+  'use strict';
+
+  if (registration.waiting && navigator.serviceWorker.controller)
+    showUpdatePrompt(registration.waiting);
+
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    worker.addEventListener('statechange', () => {
+      if (worker.state === 'installed' && navigator.serviceWorker.controller)
+        showUpdatePrompt(worker);
+    });
+  });
+}
+
+function showUpdatePrompt(worker) {
+  'use strict';
+
+  if (document.querySelector('.update-prompt')) return;
+  const prompt = document.body.appendChild(document.createElement('div'));
+  prompt.className = 'update-prompt';
+  prompt.setAttribute('role', 'status');
+  prompt.textContent = 'Update available — ';
+  const button = prompt.appendChild(document.createElement('button'));
+  button.textContent = 'Reload';
+  button.addEventListener('click', () => {
+    button.disabled = true;
+    worker.postMessage('skipWaiting');
+  });
 }
@@ -0,0 +1,114 @@
+/*
+ ============================
+ Pause menu
+ ============================
+ While a level is paused, `runLevel` shows a menu on top of it to resume, restart the level,
+ open the settings or quit to the level select. Resuming does not throw the player straight
+ back in: a short countdown runs first, so there is time to get ready.
+
+ The game also pauses by itself when the page is hidden (another tab, a minimised window, a
+ locked phone) and when the installed app loses focus.
+*/
+
+"use strict";
+
+// How many seconds the countdown before resuming takes
+var resumeCountdown = 3;
+
+/*
+PauseMenu object
+
+Created with a parent element and an `actions` object holding the functions to call for
+each button: `resume`, `restart`, `settings` and `quit`. `quitLabel` replaces the label of the
+quit button, for games that quit to somewhere other than the level select.
+*/
+function PauseMenu(parent, actions, quitLabel) {
+  this.screen = parent.appendChild(elt("div", "game-screen pause-menu"));
+  this.screen.setAttribute("role", "dialog");
+  this.screen.setAttribute("aria-label", "Paused");
+  var heading = this.screen.appendChild(elt("h1"));
+  heading.textContent = "Paused";
+
+  // Each button's label, action and, for some, icon (see `icon` in snake.js)
+  var buttons = [
+    ["Resume", actions.resume, "play"],
+    ["Restart level", actions.restart, "restart"],
+    ["Settings", actions.settings, "settings"],
+    [quitLabel || "Quit to level select", actions.quit]
+  ];
+  buttons.forEach(function(entry) {
+    var button = this.screen.appendChild(elt("button"));
+    if (entry[2])
+      button.appendChild(icon(entry[2]));
+    button.appendChild(document.createTextNode(entry[0]));
+    button.addEventListener("click", function() {
+      entry[1]();
+    });
+  }, this);
+  this.focus();
+}
+
+PauseMenu.prototype.focus = function() {
+  this.screen.querySelector("button").focus();
+};
+
+// The menu is hidden while the settings screen is open on top of it
+PauseMenu.prototype.setHidden = function(hidden) {
+  this.screen.hidden = hidden;
+  if (!hidden) this.focus();
+};
+
+PauseMenu.prototype.clear = function() {
+  this.screen.parentNode.removeChild(this.screen);
+};
+
+// Count down from `resumeCountdown` on top of the game, and call `andThen` when done.
+// Returns an object with a `cancel` method that stops the countdown without calling `andThen`.
+function showCountdown(parent, andThen) {
+  var overlay = parent.appendChild(elt("div", "countdown"));
+  overlay.setAttribute("aria-live", "assertive");
+  var left = resumeCountdown;
+  var timer = null;
+
+  function tick() {
+    if (left == 0) {
+      cancel();
+      andThen();
+      return;
+    }
+    overlay.textContent = left--;
+    timer = setTimeout(tick, 1000);
+  }
+  function cancel() {
+    clearTimeout(timer);
+    if (overlay.parentNode) overlay.parentNode.removeChild(overlay);
+  }
+  tick();
+  return {cancel: cancel};
+}
+
+// Whether the game runs as an installed app rather than in a browser tab. In a tab, focus
+// moves to the address bar or the developer tools all the time, which should not pause.
+function isInstalledApp() {
+  return !!(window.matchMedia && matchMedia("(display-mode: standalone)").matches) ||
+    navigator.standalone === true;
+}
+
+// Call `onPause` whenever the page is hidden or the installed app loses focus.
+// Returns an object with an `unregister` method, like `trackKeys`.
+function trackVisibility(onPause) {
+  function visibilityChanged() {
+    if (document.hidden) onPause();
+  }
+  function blurred() {
+    if (isInstalledApp()) onPause();
+  }
+  document.addEventListener("visibilitychange", visibilityChanged);
+  addEventListener("blur", blurred);
+  return {
+    unregister: function() {
+      document.removeEventListener("visibilitychange", visibilityChanged);
+      removeEventListener("blur", blurred);
+    }
+  };
+}
@@ -0,0 +1,154 @@
+/*
+ ============================
+ Plugins
+ ============================
+ Plugins build on the game from scripts of their own, without editing snake.js. A plugin can
+ follow the game's events (see `gameEventTypes` in snake.js), add actors for new plan
+ characters and add new kinds of grid squares:
+
+ ```js
+ function Spring(pos) {
+   this.pos = pos;
+   this.size = new Vector(1, 1);
+ }
+ Spring.prototype.type = "spring";
+ Spring.prototype.act = function(step, level) {
+   if (level.actorsAt(this).indexOf(level.player) >= 0)
+     level.player.speed.y = -25;
+ };
+
+ var springStats = {levelsWon: 0, stomps: 0};
+ registerPlugin({
+   name: "springs",
+   events: {
+     levelWon: function() { springStats.levelsWon++; },
+     enemyStomped: function() { springStats.stomps++; }
+   },
+   actors: {"*": {actor: Spring, label: "Spring"}},
+   grid: {"#": {type: "ice", label: "Ice"}},
+   colors: {spring: "rgb(230, 120, 40)", ice: "rgb(200, 240, 255)"}
+ });
+ ```
+
+ Every part but `name` is optional. An actor constructor is called like the built-in ones,
+ with `(pos, ch, level)`, and needs a `type` and an `act(step, level, keys)` method. Grid squares
+ of any type are solid, like walls. `label` adds the character to the level editor's brushes.
+ `colors` gives new types their colour in both displays and both palettes.
+
+ Event handlers only observe the game. Replays and `simulateLevel` run without events, so a
+ handler that changed the level (say, made the player bounce on a spring) would make a replay
+ play differently from the run it recorded. Anything that changes how a level plays goes in an
+ actor's `act`, like the spring above, which runs the same everywhere.
+
+ Plugins are loaded with a `<script>` tag of their own after this file and before js/main.js
+ in index.html, and are added to `filesToCache` in sw.js so they work offline. They have to
+ be registered before the level files are loaded, since the loader only accepts the plan
+ characters it knows about (see js/levels.js).
+*/
+
+"use strict";
+
+// The registered plugins, by name
+var plugins = Object.create(null);
+
+// The <style> element that holds the colours plugins give their types, created when needed
+var pluginStyle = null;
+
+// Register `plugin`. Throws an error, and registers nothing, if the plugin is malformed or
+// clashes with the game or another plugin.
+function registerPlugin(plugin) {
+  var problems = pluginProblems(plugin);
+  if (problems.length > 0) {
+    var name = plugin && plugin.name ? "\"" + plugin.name + "\"" : "without a name";
+    throw new Error("Cannot register plugin " + name + ": " + problems.join("; "));
+  }
+
+  plugins[plugin.name] = plugin;
+  var events = plugin.events || {},
+    actors = plugin.actors || {},
+    grid = plugin.grid || {},
+    colors = plugin.colors || {};
+  Object.keys(events).forEach(function(type) {
+    gameEvents.on(type, events[type]);
+  });
+  Object.keys(actors).forEach(function(ch) {
+    actorChars[ch] = actors[ch].actor;
+    addBrush(ch, actors[ch].label);
+  });
+  Object.keys(grid).forEach(function(ch) {
+    gridChars[ch] = grid[ch].type;
+    addBrush(ch, grid[ch].label);
+  });
+  Object.keys(colors).forEach(function(type) {
+    setTypeColor(type, colors[type]);
+  });
+}
+
+// Check a plugin. Returns an array of problems, which is empty for a valid plugin.
+function pluginProblems(plugin) {
+  var problems = [];
+  if (!plugin || typeof plugin.name != "string" || plugin.name == "")
+    return ["`name` must be a non-empty string"];
+  if (plugins[plugin.name])
+    problems.push("a plugin with this name is already registered");
+
+  var events = plugin.events || {};
+  Object.keys(events).forEach(function(type) {
+    if (gameEventTypes.indexOf(type) < 0)
+      problems.push("there is no \"" + type + "\" event");
+    else if (typeof events[type] != "function")
+      problems.push("the \"" + type + "\" handler must be a function");
+  });
+
+  function checkChar(ch) {
+    if (ch.length != 1 || ch == " ")
+      problems.push("\"" + ch + "\" must be a single character other than a space");
+    else if (actorChars[ch] || gridChars[ch])
+      problems.push("the plan character \"" + ch + "\" is already taken");
+  }
+  var actors = plugin.actors || {};
+  Object.keys(actors).forEach(function(ch) {
+    checkChar(ch);
+    var Actor = actors[ch] && actors[ch].actor;
+    if (typeof Actor != "function" || !isTypeName(Actor.prototype.type) ||
+        typeof Actor.prototype.act != "function")
+      problems.push("the actor for \"" + ch + "\" must be a constructor with a `type` name and " +
+        "an `act` method");
+  });
+  var grid = plugin.grid || {};
+  Object.keys(grid).forEach(function(ch) {
+    checkChar(ch);
+    if (actors.hasOwnProperty(ch))
+      problems.push("\"" + ch + "\" cannot be both an actor and a grid square");
+    if (!grid[ch] || !isTypeName(grid[ch].type))
+      problems.push("the grid type for \"" + ch + "\" must be a name made of letters, digits, " +
+        "\"-\" and \"_\"");
+  });
+  var colors = plugin.colors || {};
+  Object.keys(colors).forEach(function(type) {
+    if (!isTypeName(type))
+      problems.push("cannot colour \"" + type + "\", which is not a valid type name");
+    else if (typeof colors[type] != "string")
+      problems.push("the colour for \"" + type + "\" must be a CSS colour string");
+  });
+  return problems;
+}
+
+// Types double as class names in DOMDisplay, so they are kept to characters that are safe there
+function isTypeName(type) {
+  return typeof type == "string" && /^[a-z][\w-]*$/i.test(type);
+}
+
+// Let the level editor (see js/editor.js) paint `ch`. The player stays the last brush.
+function addBrush(ch, label) {
+  if (!label) return;
+  editorBrushes.splice(editorBrushes.length - 1, 0, {ch: ch, label: label});
+}
+
+// Colour `type` in CanvasDisplay (in both palettes) and, through a style rule, in DOMDisplay
+function setTypeColor(type, color) {
+  canvasColors[type] = contrastColors[type] = color;
+  if (!pluginStyle)
+    pluginStyle = document.head.appendChild(elt("style"));
+  pluginStyle.textContent += "." + type + " { background: " + color + "; }\n";
+}
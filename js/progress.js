@@ -0,0 +1,129 @@
+/*
+ ============================
+ Saved progress
+ ============================
+ The player's progress is kept in local storage, so that a run can be resumed from any level
+ that has been unlocked instead of always starting over at the first one.
+
+ Saved data looks like this:
+
+ ```js
+ {
+   version: 1,        // the schema version, see `progressMigrations`
+   unlocked: 2,       // the highest level (index into GAME_LEVELS) that can be played
+   deaths: 17,        // the total number of levels lost
+   levels: {          // per-level records, keyed by level index
+     "0": {bestTime: 31.4, bestCoins: 6}
+   }
+ }
+ ```
+
+ `bestTime` is the fastest win in seconds (`null` until the level has been won), and
+ `bestCoins` the most coins collected in a single attempt.
+*/
+
+"use strict";
+
+var progressStorageKey = "gameProgress";
+var progressVersion = 1;
+
+// Functions that upgrade saved data from one schema version to the next. When the format
+// changes, bump `progressVersion` and add an entry here converting from the previous
+// version, so existing saves are carried over instead of thrown away:
+//
+//   1: function(data) { ...; data.version = 2; return data; }
+var progressMigrations = {};
+
+function freshProgress() {
+  return {version: progressVersion, unlocked: 0, deaths: 0, levels: {}};
+}
+
+function loadProgress() {
+  var data;
+  try {
+    data = JSON.parse(localStorage.getItem(progressStorageKey));
+  } catch (e) {
+    data = null;
+  }
+  if (!data || typeof data.version != "number" || data.version > progressVersion)
+    return freshProgress();
+  while (data.version < progressVersion) {
+    var migrate = progressMigrations[data.version];
+    if (!migrate) return freshProgress();
+    data = migrate(data);
+  }
+  return data;
+}
+
+function saveProgress(progress) {
+  try {
+    localStorage.setItem(progressStorageKey, JSON.stringify(progress));
+  } catch (e) {
+    // Storage may be full or disabled (private browsing); the game still works without it.
+  }
+}
+
+// Record the outcome of playing level `n`. Called whenever a level is finished.
+function recordLevelResult(n, level) {
+  var progress = loadProgress();
+  var record = progress.levels[n] || (progress.levels[n] = {bestTime: null, bestCoins: 0});
+  record.bestCoins = Math.max(record.bestCoins, level.coinsCollected());
+
+  if (level.status == "won") {
+    if (record.bestTime == null || level.time < record.bestTime)
+      record.bestTime = level.time;
+    progress.unlocked = Math.max(progress.unlocked, n + 1);
+  } else {
+    progress.deaths++;
+  }
+  saveProgress(progress);
+}
+
+function formatTime(seconds) {
+  var minutes = Math.floor(seconds / 60);
+  var rest = Math.floor(seconds % 60);
+  return minutes + ":" + (rest < 10 ? "0" : "") + rest;
+}
+
+/*
+LevelSelect object
+
+A screen listing every level, created by giving it a parent element, the level plans, and
+a function that is called with the index of the chosen level. Locked levels are shown but
+cannot be chosen.
+*/
+function LevelSelect(parent, plans, onChoose) {
+  var progress = loadProgress();
+  this.wrap = parent.appendChild(elt("div", "level-select"));
+
+  var title = this.wrap.appendChild(elt("h1"));
+  title.textContent = "Choose a level";
+
+  var list = this.wrap.appendChild(elt("ol"));
+  plans.forEach(function(plan, n) {
+    var record = progress.levels[n];
+    var button = list.appendChild(elt("li")).appendChild(elt("button"));
+    var name = plan.name || "Level " + (n + 1);
+    if (n > progress.unlocked) {
+      button.disabled = true;
+      button.textContent = name + " (locked)";
+      return;
+    }
+    button.textContent = name;
+    if (record) {
+      var stats = button.appendChild(elt("span", "level-stats"));
+      stats.textContent = (record.bestTime != null ? "Best " + formatTime(record.bestTime) + " · " : "") +
+        record.bestCoins + " coins";
+    }
+    button.addEventListener("click", function() {
+      onChoose(n);
+    });
+  });
+
+  var deaths = this.wrap.appendChild(elt("p", "level-stats"));
+  deaths.textContent = "Deaths: " + progress.deaths;
+}
+
+LevelSelect.prototype.clear = function() {
+  this.wrap.parentNode.removeChild(this.wrap);
+};
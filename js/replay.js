@@ -0,0 +1,212 @@
+/*
+ ============================
+ Replays
+ ============================
+ Because the simulation runs in fixed ticks (`fixedStep`) and the level's randomness comes from a
+ seeded generator, a run is completely determined by the level, the seed and the keys held
+ during each tick. A replay file stores exactly that:
+
+ ```js
+ {
+   version: 3,
+   step: 0.016666666666666666,   // the tick length the run was recorded with
+   seed: 3141592653,             // the seed passed to the Level constructor
+   level: {name: ..., plan: [...]},  // the level definition (or bare plan) that was played
+   start: {x: 40, y: 12},        // the checkpoint the attempt started from, or null
+   inputs: "0*42,2*30,6*12,2*8"  // the keys per tick, run-length encoded
+ }
+ ```
+
+ Each tick's keys are packed into a number (left = 1, right = 2, up = 4), and runs of identical
+ ticks are written as `keys*count`, which keeps the files small.
+
+ Feeding the inputs back through `Level.animate` reproduces the run exactly, which is used to
+ share speedruns and to attach reproductions to bug reports.
+*/
+
+"use strict";
+
+// Bumped whenever the simulation changes in a way that makes older recordings play out differently
+var replayVersion = 3;
+var keyBits = {left: 1, right: 2, up: 4};
+
+// The replay of the most recently finished level, kept so it can be saved from the end screens
+var lastReplay = null;
+
+function packKeys(keys) {
+  var bits = 0;
+  for (var key in keyBits) {
+    if (keys[key]) bits |= keyBits[key];
+  }
+  return bits;
+}
+
+function unpackKeys(bits) {
+  var keys = {};
+  for (var key in keyBits)
+    keys[key] = (bits & keyBits[key]) != 0;
+  return keys;
+}
+
+function encodeInputs(ticks) {
+  var runs = [];
+  for (var i = 0; i < ticks.length;) {
+    var count = 1;
+    while (i + count < ticks.length && ticks[i + count] == ticks[i]) count++;
+    runs.push(ticks[i] + "*" + count);
+    i += count;
+  }
+  return runs.join(",");
+}
+
+function decodeInputs(text) {
+  var ticks = [];
+  if (!text) return ticks;
+  text.split(",").forEach(function(run) {
+    var parts = run.split("*");
+    var bits = Number(parts[0]),
+      count = Number(parts[1]);
+    for (var i = 0; i < count; i++) ticks.push(bits);
+  });
+  return ticks;
+}
+
+/*
+Recorder object
+
+Given to `runLevel`, which calls its `record` method with the keys of every tick.
+
+Properties:
+level: the level definition (or bare plan) being played
+seed: the seed the Level was created with
+start: the checkpoint square the attempt started from, or `null`
+ticks: the packed keys of every tick so far
+*/
+function Recorder(level, seed, start) {
+  this.level = level;
+  this.seed = seed;
+  this.start = start || null;
+  this.ticks = [];
+}
+
+Recorder.prototype.record = function(keys) {
+  this.ticks.push(packKeys(keys));
+};
+
+// The recording as a replay object, ready to be saved with `JSON.stringify`
+Recorder.prototype.replay = function() {
+  return {
+    version: replayVersion,
+    step: fixedStep,
+    seed: this.seed,
+    level: this.level,
+    start: this.start && {x: this.start.x, y: this.start.y},
+    inputs: encodeInputs(this.ticks)
+  };
+};
+
+function checkReplay(replay) {
+  if (!replay || replay.version != replayVersion)
+    throw new Error("Unsupported replay file (version " + (replay && replay.version) + ")");
+  if (typeof replay.seed != "number" || !replay.level || typeof replay.inputs != "string")
+    throw new Error("Malformed replay file");
+}
+
+// The Level a replay starts from
+function replayLevel(replay) {
+  var level = new Level(replay.level, replay.seed);
+  if (replay.start)
+    level.respawnAt(new Vector(replay.start.x, replay.start.y));
+  return level;
+}
+
+// Run a replay without displaying it, as fast as possible. Returns the Level in the state
+// the replay leaves it in, so `level.status` tells how the run ended.
+function simulateReplay(replay) {
+  checkReplay(replay);
+  var level = replayLevel(replay);
+  decodeInputs(replay.inputs).forEach(function(bits) {
+    level.animate(replay.step, unpackKeys(bits));
+  });
+  return level;
+}
+
+// Show a replay in real time with the given display constructor. Once the inputs run out
+// (or the level finishes) the display is cleared and `andThen` is called with the level's status.
+function playReplay(replay, Display, andThen) {
+  checkReplay(replay);
+  var level = replayLevel(replay);
+  var display = new Display(document.body, level);
+  var ticks = decodeInputs(replay.inputs),
+    tick = 0;
+  var stepper = fixedStepper(function() {
+    if (tick < ticks.length)
+      level.animate(replay.step, unpackKeys(ticks[tick++]));
+  });
+
+  runAnimation(function(step) {
+    stepper(step);
+    display.drawFrame(step);
+    if (tick >= ticks.length || level.isFinished()) {
+      display.clear();
+      if (andThen) andThen(level.status);
+      return false;
+    }
+  });
+}
+
+// A link that downloads `replay` as a file, or an empty text node when there is no replay.
+// The file's object URL is only made when the link is clicked, and revoked `revokeDelay`
+// milliseconds later (some browsers are still reading the Blob right after the click), so no
+// Blob is kept around for links that are never used or used once.
+var revokeDelay = 10000;
+
+function replayLink(replay) {
+  if (!replay) return document.createTextNode("");
+  var link = elt("a", "replay-link");
+  var name = replay.level.name || "level";
+  link.download = name.toLowerCase().replace(/[^a-z0-9]+/g, "-") + ".replay.json";
+  link.href = "#";
+  link.textContent = "Save replay of the last level";
+  link.addEventListener("click", function() {
+    var url = URL.createObjectURL(new Blob([JSON.stringify(replay)], {type: "application/json"}));
+    link.href = url;
+    setTimeout(function() {
+      URL.revokeObjectURL(url);
+      link.href = "#";
+    }, revokeDelay);
+  });
+  return link;
+}
+
+// A screen for opening a replay file and watching it
+function ReplayPicker(parent, Display) {
+  this.wrap = parent.appendChild(elt("div", "replay-picker"));
+  var label = this.wrap.appendChild(elt("label"));
+  label.textContent = "Open a replay file ";
+  var input = label.appendChild(elt("input"));
+  input.type = "file";
+  input.accept = ".json,application/json";
+  var message = this.wrap.appendChild(elt("p"));
+  var picker = this;
+
+  input.addEventListener("change", function() {
+    if (!input.files.length) return;
+    var reader = new FileReader();
+    reader.addEventListener("load", function() {
+      try {
+        var replay = JSON.parse(reader.result);
+        picker.wrap.style.display = "none";
+        playReplay(replay, Display, function(status) {
+          picker.wrap.style.display = "";
+          message.textContent = "Replay finished" + (status ? ": level " + status + "." : ".");
+        });
+      } catch (e) {
+        picker.wrap.style.display = "";
+        message.textContent = e.message;
+      }
+      input.value = "";
+    });
+    reader.readAsText(input.files[0]);
+  });
+}
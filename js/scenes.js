@@ -0,0 +1,350 @@
+/*
+ ============================
+ Scenes
+ ============================
+ The game moves between a handful of states, each with its own screen (a "scene"):
+
+   title → levelSelect → playing ⇄ paused
+                            ↓
+                      levelComplete → playing (the next level)
+                            ↓
+                        gameOver → high scores → title (or credits, after a win)
+   title → credits → title
+   title → playing (an endless run or the daily level, see below)
+   title → dodging ⇄ paused
+              ↓
+          dodgeOver → dodging (play again) or title
+
+ Besides the hand-made levels, a run can go through generated levels (see js/generator.js):
+ an endless run plays one level after another, each a little harder, until the lives run out,
+ and the daily level is a single level that is the same for everyone on the same day. Generated
+ levels count towards neither the saved progress nor the high scores.
+
+ "dodging" is the second game mode, where blocks fall from the sky (see js/dodge.js).
+
+ A game is a sequence of levels. Whenever the player dies, the current level is restarted
+ (at the last checkpoint reached, if any). When a level is completed, we move on to the next
+ level. The player has 3 lives for a whole run, which carry over from one level to the next.
+
+ The scene manager owns the lifecycle of every level: only the "playing" scene calls
+ `runLevel`, and only once the level has ended (and `runLevel` has removed the display and
+ unregistered its keys, the pause key and the other input listeners) does the game move on.
+ Every other scene removes its own elements when it is left, so coming back to the title
+ screen never leaves anything behind.
+
+ Moving from one scene to the next fades the screen out and in again, unless reduced motion
+ is switched on (see js/accessibility.js).
+*/
+
+"use strict";
+
+// How long fading out (and in again) takes, in milliseconds
+var fadeTime = 300;
+
+/*
+SceneManager object
+
+Created with a parent element, the level plans and the display constructor to play them with.
+
+Properties:
+state: the name of the current state, which is also set as `data-state` on the parent
+leave: the function that cleans up the current scene, if it needs cleaning up
+changing: true while fading from one scene to the next
+*/
+function SceneManager(parent, plans, Display) {
+  this.parent = parent;
+  this.plans = plans;
+  this.Display = Display;
+  this.state = null;
+  this.leave = null;
+  this.changing = false;
+}
+
+// Move to the scene for `state`, handing it `data`. Ignored while another change is under way,
+// so a double click cannot start a scene twice.
+SceneManager.prototype.go = function(state, data) {
+  if (this.changing) return;
+  var manager = this;
+  this.changing = true;
+  fade(this.parent, function() {
+    if (manager.leave) manager.leave();
+    manager.setState(state);
+    manager.leave = scenes[state](manager, data) || null;
+    manager.changing = false;
+  });
+};
+
+// Change the state without changing the scene. The "paused" state is entered this way, since
+// the pause menu belongs to the level being played (see js/pause.js).
+SceneManager.prototype.setState = function(state) {
+  this.state = state;
+  this.parent.setAttribute("data-state", state);
+};
+
+// Fade out, call `swap`, and fade in again
+function fade(parent, swap) {
+  if (accessibility.settings.reducedMotion) {
+    swap();
+    return;
+  }
+  var curtain = parent.appendChild(elt("div", "curtain"));
+  // Reading the layout makes the browser start the transition from the transparent state
+  curtain.getBoundingClientRect();
+  curtain.classList.add("closed");
+  setTimeout(function() {
+    swap();
+    curtain.classList.remove("closed");
+    setTimeout(function() {
+      parent.removeChild(curtain);
+    }, fadeTime);
+  }, fadeTime);
+}
+
+/*
+GameRun object
+
+The state of one run through the levels, handed from scene to scene.
+
+Properties:
+plans: the level plans of the run
+mode: "levels" for the hand-made levels, "endless" or "daily" for generated ones
+seed: the seed the levels of an endless run are generated from
+level: the index of the level being played
+lives: the number of lives left
+checkpoint: the checkpoint square to start the level at, or null to start at the beginning
+score: the run's score so far: the sum of the scores of every level played, including lost
+  attempts, but never below zero
+levelScores: `{level, score}` for every level won, for the per-level high scores
+last: the Level object of the attempt that ended last
+hud: the HUD shown for the whole run, added to the page when the run's first level starts
+*/
+function GameRun(first, plans, mode) {
+  this.plans = plans;
+  this.mode = mode || "levels";
+  this.seed = null;
+  this.level = first;
+  this.lives = 3;
+  this.checkpoint = null;
+  this.score = 0;
+  this.levelScores = [];
+  this.last = null;
+  this.hud = null;
+}
+
+// Start an endless run, or a run through just the daily level
+function generatedRun(manager, mode) {
+  var run;
+  if (mode == "endless") {
+    var seed = randomSeed();
+    run = new GameRun(0, [endlessLevel(seed, 0)], mode);
+    run.seed = seed;
+  } else {
+    run = new GameRun(0, [dailyLevel()], mode);
+  }
+  manager.go("playing", run);
+}
+
+// A screen with a heading and a column of buttons. `buttons` holds `[label, onClick]` pairs.
+function menuScreen(parent, className, title, buttons) {
+  var screen = parent.appendChild(elt("div", "game-screen " + className));
+  var heading = screen.appendChild(elt("h1"));
+  heading.textContent = title;
+  buttons.forEach(function(entry) {
+    var button = screen.appendChild(elt("button"));
+    button.textContent = entry[0];
+    button.addEventListener("click", entry[1]);
+  });
+  screen.querySelector("button").focus();
+  return screen;
+}
+
+function removeScreen(screen) {
+  return function() {
+    screen.parentNode.removeChild(screen);
+  };
+}
+
+// The scenes, by state. Each is called with the manager and the data given to `go`,
+// and returns a function that removes it again (unless it removes itself).
+var scenes = {
+  title: function(manager) {
+    return removeScreen(menuScreen(manager.parent, "title-screen", "Dark Blue", [
+      ["Play", function() { manager.go("levelSelect"); }],
+      ["Endless", function() { generatedRun(manager, "endless"); }],
+      ["Daily level", function() { generatedRun(manager, "daily"); }],
+      ["Dodge", function() { manager.go("dodging"); }],
+      ["Credits", function() { manager.go("credits"); }]
+    ]));
+  },
+
+  levelSelect: function(manager) {
+    var select = new LevelSelect(manager.parent, manager.plans, function(n) {
+      manager.go("playing", new GameRun(n, manager.plans));
+    });
+    var back = select.wrap.appendChild(elt("button"));
+    back.textContent = "Back";
+    back.addEventListener("click", function() {
+      manager.go("title");
+    });
+    return function() {
+      select.clear();
+    };
+  },
+
+  playing: function(manager, run) {
+    var n = run.level,
+      plans = run.plans,
+      generated = run.mode != "levels";
+    // Every attempt is recorded, so the last one can be saved as a replay
+    var seed = randomSeed();
+    var level = new Level(plans[n], seed);
+    if (run.checkpoint)
+      level.respawnAt(run.checkpoint);
+    var recorder = new Recorder(plans[n], seed, run.checkpoint);
+    // Added here rather than by GameRun, so a run that `go` turned away during a fade leaves
+    // nothing on the page
+    if (!run.hud)
+      run.hud = new Hud(manager.parent);
+    run.hud.lives = run.lives;
+    run.hud.levelNumber = n + 1;
+    run.hud.score = run.score;
+    // Screen reader users hear what the HUD shows at the start of every attempt
+    accessibility.announce("Level " + (n + 1) + (plans[n].name ? ", " + plans[n].name : "") +
+      (run.checkpoint ? ", from the checkpoint" : "") + ". " +
+      run.lives + (run.lives == 1 ? " life" : " lives") + " left.");
+
+    runLevel(level, manager.Display, function(status) {
+      manager.setState("playing");
+      // Restarting or quitting from the pause menu abandons the attempt:
+      // it costs no life, and neither its score nor its replay is kept
+      if (status == "restart") {
+        run.checkpoint = null;
+        manager.go("playing", run);
+        return;
+      }
+      if (status == "quit") {
+        run.hud.clear();
+        manager.go(generated ? "title" : "levelSelect");
+        return;
+      }
+
+      lastReplay = recorder.replay();
+      if (!generated)
+        recordLevelResult(n, level);
+      run.score = Math.max(0, run.score + level.score);
+      run.last = level;
+      run.checkpoint = null;
+      if (status == "won") {
+        if (!generated)
+          run.levelScores.push({level: n, score: level.score});
+        // An endless run never runs out of levels
+        if (run.mode == "endless")
+          plans.push(endlessLevel(run.seed, n + 1));
+        manager.go(n < plans.length - 1 ? "levelComplete" : "gameOver", run);
+      } else {
+        accessibility.announce("You died.");
+        if (run.lives > 0) {
+          run.lives--;
+          run.checkpoint = level.checkpoint;
+          manager.go("playing", run);
+        } else {
+          manager.go("gameOver", run);
+        }
+      }
+    }, {
+      hud: run.hud,
+      recorder: recorder,
+      music: n,
+      quitLabel: generated ? "Quit to the title" : null,
+      onPause: function(paused) {
+        manager.setState(paused ? "paused" : "playing");
+      }
+    });
+  },
+
+  levelComplete: function(manager, run) {
+    var level = run.last;
+    var title = "Level " + (run.level + 1) + " complete";
+    var details = "Time " + formatTime(level.time) + " · " + level.coinsCollected() + " of " +
+      level.totalCoins + " coins · Score " + run.score;
+    accessibility.announce(title + ". " + details);
+    var screen = showGameScreen(title, details, "Next level", function() {
+      run.level++;
+      manager.go("playing", run);
+    });
+    screen.appendChild(replayLink(lastReplay));
+  },
+
+  // The end of a run, either because the player ran out of lives or cleared the last level
+  gameOver: function(manager, run) {
+    var plans = run.plans;
+    var won = run.last.status == "won";
+    var title = won ? "You win!" : "Game Over";
+    var details = (won ? (run.mode == "daily" ? "You cleared the daily level." :
+      "You cleared all " + plans.length + " levels.") :
+      "You ran out of lives on level " + (run.level + 1) + ".") + " Score: " + run.score;
+    run.hud.clear();
+    accessibility.announce(title + ". " + details);
+    var screen = showGameScreen(title, details, "Continue", function() {
+      // The high-score tables are kept for the hand-made levels only
+      if (run.mode != "levels") {
+        manager.go("title");
+        return;
+      }
+      showHighScores(plans, {score: run.score, levelScores: run.levelScores}, function() {
+        manager.go(won ? "credits" : "title");
+      });
+    });
+    screen.appendChild(replayLink(lastReplay));
+  },
+
+  dodging: function(manager) {
+    var game = new DodgeGame(randomSeed());
+    accessibility.announce("Dodge. Move left and right to dodge the falling blocks.");
+    runLevel(game, DodgeDisplay, function(status) {
+      manager.setState("dodging");
+      if (status == "restart")
+        manager.go("dodging");
+      else if (status == "quit")
+        manager.go("title");
+      else
+        manager.go("dodgeOver", game);
+    }, {
+      // The fastest of the music tracks
+      music: 2,
+      quitLabel: "Quit to the title",
+      onPause: function(paused) {
+        manager.setState(paused ? "paused" : "dodging");
+      }
+    });
+  },
+
+  dodgeOver: function(manager, game) {
+    var previous = loadDodgeBest();
+    var best = saveDodgeScore(game.score);
+    var details = "Score " + game.score + " · " + (best > previous ? "New best!" : "Best " + best);
+    accessibility.announce("Game Over. " + details);
+    var screen = menuScreen(manager.parent, "dodge-over", "Game Over", [
+      ["Play again", function() { manager.go("dodging"); }],
+      ["Back to the title", function() { manager.go("title"); }]
+    ]);
+    screen.insertBefore(elt("p"), screen.querySelector("button")).textContent = details;
+    return removeScreen(screen);
+  },
+
+  credits: function(manager) {
+    var screen = menuScreen(manager.parent, "credits", "Credits", [
+      ["Back to the title", function() { manager.go("title"); }]
+    ]);
+    var list = screen.insertBefore(elt("ul"), screen.querySelector("button"));
+    [
+      "Based on Dark Blue by Thomas Palef (Lessmilk)",
+      "Adapted from the platform game in Eloquent JavaScript by Marijn Haverbeke",
+      "Levels from Eloquent JavaScript",
+      "Made for ITST 304 - Mobile Computing, LSPU CCS"
+    ].forEach(function(line) {
+      list.appendChild(elt("li")).textContent = line;
+    });
+    return removeScreen(screen);
+  }
+};
@@ -0,0 +1,124 @@
+/*
+ ============================
+ High scores
+ ============================
+ An offline high-score table, kept in local storage. There is one table for whole runs and one
+ per level, each holding the best `highScoreCount` entries as `{initials, score}`.
+
+ When a run is over (see js/scenes.js), the player is asked for their initials if the run (or
+ one of the levels they won on the way) made it onto a table, and the tables are shown.
+*/
+
+"use strict";
+
+var highScoreStorageKey = "highScores";
+var highScoreCount = 10;
+
+function loadHighScores() {
+  var tables;
+  try {
+    tables = JSON.parse(localStorage.getItem(highScoreStorageKey));
+  } catch (e) {
+    tables = null;
+  }
+  if (!tables || !Array.isArray(tables.run) || typeof tables.levels != "object")
+    tables = {run: [], levels: {}};
+  return tables;
+}
+
+function saveHighScores(tables) {
+  try {
+    localStorage.setItem(highScoreStorageKey, JSON.stringify(tables));
+  } catch (e) {
+    // Without storage the scores are simply not kept.
+  }
+}
+
+// Whether `score` would get a place in `table`
+function isHighScore(table, score) {
+  return score > 0 && (table.length < highScoreCount ||
+    score > table[table.length - 1].score);
+}
+
+function addHighScore(table, initials, score) {
+  table.push({initials: initials, score: score});
+  table.sort(function(a, b) {
+    return b.score - a.score;
+  });
+  table.length = Math.min(table.length, highScoreCount);
+}
+
+// Show the high scores at the end of a run. `result` holds the run's `score` and the
+// `levelScores` (an array of `{level, score}` for every level won during the run).
+// `andThen` is called when the player closes the table.
+function showHighScores(plans, result, andThen) {
+  var tables = loadHighScores();
+  var qualifying = result.levelScores.filter(function(entry) {
+    return isHighScore(tables.levels[entry.level] || [], entry.score);
+  });
+
+  if (isHighScore(tables.run, result.score) || qualifying.length > 0)
+    askInitials(function(initials) {
+      addHighScore(tables.run, initials, result.score);
+      qualifying.forEach(function(entry) {
+        var table = tables.levels[entry.level] || (tables.levels[entry.level] = []);
+        addHighScore(table, initials, entry.score);
+      });
+      saveHighScores(tables);
+      drawHighScores(plans, tables, andThen);
+    });
+  else
+    drawHighScores(plans, tables, andThen);
+}
+
+function askInitials(andThen) {
+  var screen = document.body.appendChild(elt("form", "game-screen"));
+  var heading = screen.appendChild(elt("h1"));
+  heading.textContent = "New high score!";
+  var label = screen.appendChild(elt("label"));
+  label.textContent = "Your initials ";
+  var input = label.appendChild(elt("input", "initials"));
+  input.maxLength = 3;
+  input.required = true;
+  input.autocomplete = "off";
+  var button = screen.appendChild(elt("button"));
+  button.textContent = "Save";
+  screen.addEventListener("submit", function(event) {
+    event.preventDefault();
+    document.body.removeChild(screen);
+    andThen(input.value.toUpperCase());
+  });
+  input.focus();
+}
+
+function drawHighScores(plans, tables, andThen) {
+  var screen = document.body.appendChild(elt("div", "game-screen high-scores"));
+  var heading = screen.appendChild(elt("h1"));
+  heading.textContent = "High scores";
+
+  function drawTable(title, table) {
+    var section = screen.appendChild(elt("section"));
+    var caption = section.appendChild(elt("h2"));
+    caption.textContent = title;
+    var list = section.appendChild(elt("ol"));
+    if (table.length == 0)
+      list.appendChild(elt("li")).textContent = "—";
+    table.forEach(function(entry) {
+      list.appendChild(elt("li")).textContent = entry.initials + " " + entry.score;
+    });
+  }
+
+  drawTable("Full runs", tables.run);
+  plans.forEach(function(plan, n) {
+    // Per level, only the top three are shown to keep the screen short
+    drawTable(plan.name || "Level " + (n + 1), (tables.levels[n] || []).slice(0, 3));
+  });
+
+  var button = screen.appendChild(elt("button"));
+  button.textContent = "Continue";
+  button.addEventListener("click", function() {
+    document.body.removeChild(screen);
+    andThen();
+  });
+  button.focus();
+}
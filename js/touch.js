@@ -0,0 +1,151 @@
+/*
+ ============================
+ Touch controls
+ ============================
+ Phones have no arrow keys, so on touch devices `runLevel` shows an on-screen overlay with
+ left/right buttons, a jump button and a pause button. The buttons fill the same `pressed` object
+ (`left`/`right`/`up`) that `trackKeys` fills, so `Player.moveX` and `moveY` need no changes.
+
+ Swipe gestures can be switched on with the "Swipe" button instead of the d-pad: drag a finger
+ sideways anywhere on the screen to run in that direction for as long as it stays down,
+ and drag it upwards to jump.
+*/
+
+"use strict";
+
+var swipeStorageKey = "touchSwipe";
+// How far (in pixels) a finger has to move before it counts as a swipe
+var swipeThreshold = 30;
+
+function isTouchDevice() {
+  return "ontouchstart" in window || navigator.maxTouchPoints > 0;
+}
+
+function swipeEnabled() {
+  try {
+    return localStorage.getItem(swipeStorageKey) == "on";
+  } catch (e) {
+    return false;
+  }
+}
+
+// Add the overlay for one level. `pressed` is the object returned by `trackKeys` and
+// `onPause` is called when the pause button is tapped.
+// Like `trackKeys`, it returns an object with an `unregister` method that removes it again,
+// plus a `setPaused` method to switch the pause button's icon.
+function trackTouch(pressed, onPause) {
+  if (!isTouchDevice())
+    return {setPaused: function() {}, unregister: function() {}};
+
+  var overlay = document.body.appendChild(elt("div", "touch-controls"));
+  var swipe = swipeEnabled();
+
+  function button(className, label, text) {
+    var b = overlay.appendChild(elt("button", "touch-button " + className));
+    b.setAttribute("aria-label", label);
+    b.textContent = text;
+    return b;
+  }
+
+  // Hold a button to keep its key pressed. Pointer events track every finger separately,
+  // so it is possible to run and jump at the same time.
+  function holdButton(b, key) {
+    function press(event) {
+      event.preventDefault();
+      pressed[key] = true;
+    }
+    function release() {
+      pressed[key] = false;
+    }
+    b.addEventListener("pointerdown", press);
+    b.addEventListener("pointerup", release);
+    b.addEventListener("pointercancel", release);
+    b.addEventListener("pointerleave", release);
+  }
+
+  var dpad = [
+    [button("touch-left", "Move left", "◀"), "left"],
+    [button("touch-right", "Move right", "▶"), "right"],
+    [button("touch-jump", "Jump", "▲"), "up"]
+  ];
+  dpad.forEach(function(entry) {
+    holdButton(entry[0], entry[1]);
+  });
+
+  var pauseButton = button("touch-pause", "Pause", "");
+  pauseButton.appendChild(icon("pause"));
+  pauseButton.addEventListener("click", function() {
+    onPause();
+  });
+
+  var swipeButton = button("touch-swipe", "Swipe controls", "Swipe");
+  swipeButton.addEventListener("click", function() {
+    setSwipe(!swipe);
+  });
+
+  function setSwipe(on) {
+    swipe = on;
+    try {
+      localStorage.setItem(swipeStorageKey, on ? "on" : "off");
+    } catch (e) {}
+    overlay.classList.toggle("swiping", on);
+    swipeButton.setAttribute("aria-pressed", String(on));
+  }
+  setSwipe(swipe);
+
+  // Swipe gestures. Only one finger is followed at a time, and touches
+  // that start on one of the buttons are left alone.
+  var swipeTouch = null,
+    startX = 0,
+    startY = 0;
+
+  function touchStart(event) {
+    if (!swipe || swipeTouch != null || event.target.closest(".touch-button"))
+      return;
+    var touch = event.changedTouches[0];
+    swipeTouch = touch.identifier;
+    startX = touch.clientX;
+    startY = touch.clientY;
+  }
+  function touchMove(event) {
+    var touch = findTouch(event.changedTouches, swipeTouch);
+    if (!touch) return;
+    event.preventDefault();
+    var dx = touch.clientX - startX,
+      dy = touch.clientY - startY;
+    pressed.left = dx < -swipeThreshold;
+    pressed.right = dx > swipeThreshold;
+    if (dy < -swipeThreshold) pressed.up = true;
+  }
+  function touchEnd(event) {
+    if (!findTouch(event.changedTouches, swipeTouch)) return;
+    swipeTouch = null;
+    pressed.left = pressed.right = pressed.up = false;
+  }
+  addEventListener("touchstart", touchStart);
+  addEventListener("touchmove", touchMove, {passive: false});
+  addEventListener("touchend", touchEnd);
+  addEventListener("touchcancel", touchEnd);
+
+  return {
+    setPaused: function(paused) {
+      pauseButton.textContent = "";
+      pauseButton.appendChild(icon(paused ? "play" : "pause"));
+      pauseButton.setAttribute("aria-label", paused ? "Resume" : "Pause");
+    },
+    unregister: function() {
+      removeEventListener("touchstart", touchStart);
+      removeEventListener("touchmove", touchMove);
+      removeEventListener("touchend", touchEnd);
+      removeEventListener("touchcancel", touchEnd);
+      overlay.parentNode.removeChild(overlay);
+    }
+  };
+}
+
+function findTouch(touches, identifier) {
+  for (var i = 0; i < touches.length; i++) {
+    if (touches[i].identifier == identifier) return touches[i];
+  }
+  return null;
+}
@@ -2,9 +2,9 @@
 This game is based on [Lessmilk Game: Dark Blue](http://www.lessmilk.com/game/dark-blue/).
 
 A whole game consists of multiple levels that the player must complete. 
-A level is completed when all coins have been collected. 
-If the player touches lava, the current level is restored to its starting position, 
-and the player may try again.
+A level is completed when all coins have been collected, or when the player reaches its exit door. 
+If the player touches lava, the current level is restored to its starting position 
+(or to the last checkpoint reached), and the player may try again.
 
 A simple plan example:
 
@@ -31,6 +31,14 @@ var simpleLevelPlan = [
 7. `|` is lava moving vertically
 8. `v` is dripping lava(does not bounce back but jump back to start position 
    when it hits the floor)
+9. `-` is a platform moving horizontally and `^` one moving vertically. The player can stand 
+   on them and ride along. A run of `-` characters forms one wider platform.
+10. `e` is an enemy patrolling back and forth. Jumping on it stomps it; any other touch is deadly.
+11. `c` is a checkpoint. After a loss, the level restarts at the last checkpoint touched.
+12. `d` is an exit door (two squares high, standing on this square and the one above). 
+   Reaching it wins the level, even if coins are left.
+13. `j`, `s`, `h` and `g` are power-ups that change the player's abilities for a while: 
+   double jump, a speed boost, a shield against lava and low gravity (see `powerUps`).
 */
 
 "use strict";
@@ -47,6 +55,18 @@ function elt(name, className) {
   return elt;
 }
 
+/* Create an icon from the bundled sprite in images/icons.svg (`pause`, `play`, `sound`, `mute`, 
+`fullscreen`, `restart` or `settings`). The icons take the current text colour. */
+function icon(name) {
+  var svgNS = "http://www.w3.org/2000/svg";
+  var svg = document.createElementNS(svgNS, "svg");
+  svg.setAttribute("class", "icon");
+  svg.setAttribute("aria-hidden", "true");
+  var use = svg.appendChild(document.createElementNS(svgNS, "use"));
+  use.setAttribute("href", "images/icons.svg#" + name);
+  return svg;
+}
+
 /* Vector */
 function Vector(x, y) {
   this.x = x;
@@ -61,13 +81,128 @@ Vector.prototype.times = function(factor) {
   return new Vector(this.x * factor, this.y * factor);
 };
 
+/* A seedable random number generator (mulberry32). Returns a function that, like `Math.random`, 
+produces numbers between 0 and 1—but always the same sequence for the same seed. */
+function seededRandom(seed) {
+  return function() {
+    seed = (seed + 0x6D2B79F5) | 0;
+    var t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+/*
+Game events
+
+Levels and `runLevel` report what happens in the game as events on `gameEvents`, so scripts 
+like analytics, sounds and achievements can follow along without touching the game logic 
+(see js/plugins.js). Every event is an object holding the `level` it happened in—the Level, 
+or the DodgeGame in the dodge mode (see js/dodge.js)—plus, for some types, more.
+
+Handlers only observe the game. Only levels run by `runLevel` report events, so gameplay that 
+replays have to reproduce belongs in actors instead (see js/plugins.js).
+
+levelStart: a level (or another attempt at one) starts running
+levelEnd: the level was left; `status` is "won", "lost", "restart" or "quit"
+paused, resumed: the game was paused, or is running again after the countdown
+coinCollected: `coin` was collected
+enemyStomped: the player jumped on `enemy`
+checkpointReached: the player reached `checkpoint`
+powerUpCollected: the player picked up the power-up called `name`
+playerTouched: the player touches something—a grid square or an actor of type `type`. The 
+  `actor` is `null` for grid squares. Standing on the floor counts, so this fires every step.
+playerDied: the player lost; `cause` is "lava", "enemy", "time" or, in the dodge mode, "block"
+levelWon: the level was won
+*/
+var gameEventTypes = ["levelStart", "levelEnd", "paused", "resumed", "coinCollected",
+  "enemyStomped", "checkpointReached", "powerUpCollected", "playerTouched", "playerDied",
+  "levelWon"];
+
+/*
+EventBus object
+
+Created with the list of event types it carries. Listening for any other type is an error, 
+which catches misspelt names early.
+*/
+function EventBus(types) {
+  this.handlers = Object.create(null);
+  types.forEach(function(type) {
+    this.handlers[type] = [];
+  }, this);
+}
+
+// Call `handler` with the event object every time an event of `type` is emitted
+EventBus.prototype.on = function(type, handler) {
+  if (!this.handlers[type])
+    throw new Error("Unknown game event \"" + type + "\"");
+  this.handlers[type].push(handler);
+};
+
+EventBus.prototype.off = function(type, handler) {
+  if (this.handlers[type])
+    this.handlers[type] = this.handlers[type].filter(function(other) {
+      return other != handler;
+    });
+};
+
+// A handler that throws is reported, but does not stop the game or the other handlers
+EventBus.prototype.emit = function(type, event) {
+  this.handlers[type].forEach(function(handler) {
+    try {
+      handler(event);
+    } catch (e) {
+      console.error(e);
+    }
+  });
+};
+
+var gameEvents = new EventBus(gameEventTypes);
+
 /* 
 Level Object
 
-Read a level. For brevity, the code does not check for malformed input.
+Read a level. `plan` is either a bare plan (an array of strings) or a level definition 
+as loaded from a level file by js/levels.js—an object holding the plan plus metadata. 
+The Level constructor itself does not check for malformed input; level files are 
+validated by the loader before they get here.
 
 ---
 Properties:
+name, author: metadata from the level definition (`null` for a bare plan)
+
+timeLimit: the number of seconds the player has to finish the level, or `null` for no limit
+
+background: the background colour of the level, or `null` for the default from style.css
+
+speeds: custom speeds for the moving actors, keyed by their plan character
+
+physics: the player's movement parameters: `playerPhysics` with the level definition's 
+  `physics` laid over it
+
+random: the random number generator used by the actors. Passing a `seed` to the constructor 
+  makes it repeatable (see `seededRandom`), which replays depend on.
+
+time: the number of seconds that have passed since the level started
+
+totalCoins: the number of coins in the level when it started
+
+score: the points scored in this level so far (see `scoring` below)
+
+multiplier: the current coin streak multiplier
+
+checkpoint: the grid square (a Vector) of the last checkpoint reached, or `null`
+
+sounds: an object with a `play(name)` method, set by `runLevel` so the level can play its sound 
+  effects (see js/audio.js). It stays `null` when the level runs without sound.
+
+events: the EventBus the level reports its events to, set by `runLevel` to `gameEvents`. 
+  It stays `null` in simulations and replays, which should not count towards achievements.
+
 grid: an array of arrays with 
   1. each of the inner arrays represents a horizontal line;
   2. each square containt either `null`(empty squares), or a string indicating the type(`wall` or `lava`)
@@ -84,7 +219,18 @@ status: whether the player has won or not
 
 finishDelay: when the player wins or loses, it is used to keep the level active for a short period
 */
-function Level(plan) {
+function Level(plan, seed) {
+  var definition = Array.isArray(plan) ? {plan: plan} : plan;
+  plan = definition.plan;
+  this.name = definition.name || null;
+  this.author = definition.author || null;
+  this.timeLimit = definition.timeLimit || null;
+  this.background = definition.background || null;
+  this.speeds = definition.speeds || {};
+  this.physics = Object.assign({}, playerPhysics, definition.physics);
+  this.random = seed == null ? Math.random : seededRandom(seed);
+  this.time = 0;
+
   this.width = plan[0].length;
   this.height = plan.length;
   this.grid = [];
@@ -97,13 +243,15 @@ function Level(plan) {
     for (var x = 0; x < this.width; x++) {
       var ch = line[x],
         fieldType = null;
-      var Actor = actorChars[ch];
-      if (Actor)
-        this.actors.push(new Actor(new Vector(x, y), ch));
-      else if (ch == "x")
-        fieldType = "wall";
-      else if (ch == "!")
-        fieldType = "lava";
+      var Actor = actorChars[ch],
+        last = this.actors[this.actors.length - 1];
+      if (Actor) {
+        // Some actors (platforms) grow to cover a run of their character instead of 
+        // creating a new actor for every square
+        if (!(last && last.extend && last.extend(new Vector(x, y), ch)))
+          this.actors.push(new Actor(new Vector(x, y), ch, this));
+      } else if (gridChars[ch])
+        fieldType = gridChars[ch];
       gridLine.push(fieldType);
     }
     this.grid.push(gridLine);
@@ -113,9 +261,82 @@ function Level(plan) {
   this.player = this.actors.filter(function(actor) {
     return actor.type == "player";
   })[0];
+  // The spatial index answers "which actors are here?" without looking at every actor
+  this.index = new SpatialHash(spatialCellSize);
+  this.actors.forEach(function(actor) {
+    this.index.insert(actor);
+  }, this);
+  this.totalCoins = this.coinsLeft();
+  this.score = 0;
+  this.multiplier = 1;
+  this.lastCoinTime = -Infinity;
+  this.sounds = null;
+  this.events = null;
+  this.checkpoint = null;
   this.status = this.finishDelay = null;
 }
 
+// Move the player to the checkpoint on grid square `square` (a Vector), as if the level had 
+// started there, and mark that checkpoint as reached. Used after a loss (see js/scenes.js).
+Level.prototype.respawnAt = function(square) {
+  this.player.pos = square.plus(new Vector(0, -0.5));
+  this.moved(this.player);
+  this.actors.forEach(function(actor) {
+    if (actor.type == "checkpoint" && actor.square.x == square.x && actor.square.y == square.y)
+      this.reachCheckpoint(actor);
+  }, this);
+};
+
+// Remember `checkpoint` as the place to restart from, and mark it as the only active one
+Level.prototype.reachCheckpoint = function(checkpoint) {
+  this.actors.forEach(function(actor) {
+    if (actor.type == "checkpoint")
+      actor.active = actor == checkpoint;
+  });
+  this.checkpoint = checkpoint.square;
+};
+
+// Find a platform the player would land on when moving from `pos` to `newPos`: one whose top 
+// lies between the player's old and new bottom edge, overlapping horizontally.
+// Platforms are one-way—they only hold up what comes down on them from above.
+Level.prototype.platformUnder = function(pos, newPos, size) {
+  // Only the platforms in the area the player sweeps through are candidates
+  var top = Math.min(pos.y, newPos.y);
+  var candidates = this.index.query(new Vector(pos.x, top),
+    new Vector(size.x, Math.max(pos.y, newPos.y) + size.y - top + platformTolerance));
+  for (var i = 0; i < candidates.length; i++) {
+    var platform = candidates[i];
+    if (platform.type == "platform" &&
+      pos.x + size.x > platform.pos.x &&
+      pos.x < platform.pos.x + platform.size.x &&
+      pos.y + size.y <= platform.pos.y + platformTolerance &&
+      newPos.y + size.y > platform.pos.y)
+      return platform;
+  }
+};
+
+// The number of coins still waiting to be collected
+Level.prototype.coinsLeft = function() {
+  return this.actors.filter(function(actor) {
+    return actor.type == "coin";
+  }).length;
+};
+
+Level.prototype.coinsCollected = function() {
+  return this.totalCoins - this.coinsLeft();
+};
+
+Level.prototype.playSound = function(name) {
+  if (this.sounds)
+    this.sounds.play(name);
+};
+
+// Report an event of `type` (see `gameEventTypes`), with the properties in `data`
+Level.prototype.emit = function(type, data) {
+  if (this.events)
+    this.events.emit(type, Object.assign({level: this}, data));
+};
+
 // To find out whether a level is finished
 Level.prototype.isFinished = function() {
   return this.status != null && this.finishDelay < 0;
@@ -132,7 +353,9 @@ The response to such a collision depends on the type of actor—the player will
 lava block will bounce back.
 
 Collisions between the player and other dynamic actors (coins, moving lava) are handled *after* 
-the player moved.
+the player moved. Every actor the player overlaps counts, not just the first one found. 
+Some actors also react to each other: moving lava bounces off moving lava, 
+and enemies turn around when they meet.
 */
 // To tell whether a rectangle (specified by a position and a size) 
 // overlaps with any nonempty space on the background grid
@@ -157,19 +380,141 @@ Level.prototype.obstacleAt = function(pos, size) {
   }
 }
 
-// Handle the collisions between the player and other dynamic actors.
-Level.prototype.actorAt = function(actor) {
-  for (var i = 0; i < this.actors.length; i++) {
-    var other = this.actors[i];
-    if (other != actor &&
-      actor.pos.x + actor.size.x > other.pos.x &&
-      actor.pos.x < other.pos.x + other.size.x &&
-      actor.pos.y + actor.size.y > other.pos.y &&
-      actor.pos.y < other.pos.y + other.size.y)
-      return other;
+// Find every other actor that overlaps `actor`, or that would overlap it at `pos` 
+// (its current position when not given), in the order the actors were created.
+Level.prototype.actorsAt = function(actor, pos) {
+  pos = pos || actor.pos;
+  return this.index.query(pos, actor.size).filter(function(other) {
+    return other != actor;
+  });
+};
+
+// Check whether `actor`, moving to `newPos`, would run into another actor of type `type` that 
+// it is closing in on. Actors moving in step with each other (like a column of `|` lava) never 
+// collide, and neither do actors that are already moving apart. 
+// The caller turns `actor` around when this returns true. The actor it ran into is turned around 
+// here if it was heading towards `actor`, so the two bounce off each other—otherwise, once 
+// `actor` had turned, the other would no longer be closing in and would walk right into it.
+Level.prototype.bump = function(actor, newPos, type) {
+  var hit = this.actorsAt(actor, newPos).filter(function(other) {
+    if (other.type != type) return false;
+    var closing = actor.speed.plus(other.speed.times(-1));
+    var towards = other.pos.plus(actor.pos.times(-1));
+    return closing.x * towards.x + closing.y * towards.y > 0;
+  });
+  hit.forEach(function(other) {
+    var back = actor.pos.plus(other.pos.times(-1));
+    if (other.speed.x * back.x + other.speed.y * back.y > 0)
+      other.speed = other.speed.times(-1);
+  });
+  return hit.length > 0;
+};
+
+// Tell the spatial index that `actor` has moved or changed size. `animate` does this after 
+// every actor's `act`; anything that moves an actor from outside its own `act` must call it too.
+Level.prototype.moved = function(actor) {
+  this.index.update(actor);
+};
+
+/*
+SpatialHash object
+
+A uniform grid over the level, with cells `cellSize` squares wide and high. Every actor is 
+filed under each cell its rectangle overlaps, so finding the actors in an area only means 
+looking at the few cells that area covers, no matter how many actors the level has.
+
+Properties:
+cells: maps a cell's "x,y" key to the actors filed under it
+entries: maps each actor to its insertion order and the range of cells it is filed under
+*/
+var spatialCellSize = 2;
+
+function SpatialHash(cellSize) {
+  this.cellSize = cellSize;
+  this.cells = new Map();
+  this.entries = new Map();
+  this.count = 0;
+}
+
+// The range of cells a rectangle overlaps
+SpatialHash.prototype.range = function(pos, size) {
+  var cellSize = this.cellSize;
+  return {
+    left: Math.floor(pos.x / cellSize),
+    top: Math.floor(pos.y / cellSize),
+    right: Math.floor((pos.x + size.x) / cellSize),
+    bottom: Math.floor((pos.y + size.y) / cellSize)
+  };
+};
+
+SpatialHash.prototype.eachCell = function(range, f) {
+  for (var y = range.top; y <= range.bottom; y++) {
+    for (var x = range.left; x <= range.right; x++)
+      f(x + "," + y);
   }
 };
 
+SpatialHash.prototype.insert = function(actor) {
+  var range = this.range(actor.pos, actor.size);
+  this.entries.set(actor, {order: this.count++, range: range});
+  this.eachCell(range, function(key) {
+    var cell = this.cells.get(key);
+    if (!cell) this.cells.set(key, cell = []);
+    cell.push(actor);
+  }.bind(this));
+};
+
+SpatialHash.prototype.remove = function(actor) {
+  var entry = this.entries.get(actor);
+  if (!entry) return;
+  this.entries.delete(actor);
+  this.eachCell(entry.range, function(key) {
+    var cell = this.cells.get(key);
+    cell.splice(cell.indexOf(actor), 1);
+    if (cell.length == 0) this.cells.delete(key);
+  }.bind(this));
+};
+
+// Refile `actor` if it has moved into other cells. Most moves stay within the same cells, 
+// which costs nothing.
+SpatialHash.prototype.update = function(actor) {
+  var entry = this.entries.get(actor);
+  if (!entry) return;
+  var range = this.range(actor.pos, actor.size),
+    old = entry.range;
+  if (range.left == old.left && range.top == old.top &&
+      range.right == old.right && range.bottom == old.bottom)
+    return;
+  var order = entry.order;
+  this.remove(actor);
+  this.insert(actor);
+  // Keep the actor's place in the order, so query results stay in the same order
+  this.entries.get(actor).order = order;
+};
+
+// Every actor overlapping the rectangle at `pos` with size `size`, in insertion order. 
+// The order matters: the simulation has to handle touches the same way on every run, 
+// or replays would not reproduce.
+SpatialHash.prototype.query = function(pos, size) {
+  var found = new Set();
+  this.eachCell(this.range(pos, size), function(key) {
+    var cell = this.cells.get(key);
+    if (cell) cell.forEach(function(actor) {
+      found.add(actor);
+    });
+  }.bind(this));
+
+  var entries = this.entries;
+  return Array.from(found).filter(function(actor) {
+    return pos.x + size.x > actor.pos.x &&
+      pos.x < actor.pos.x + actor.size.x &&
+      pos.y + size.y > actor.pos.y &&
+      pos.y < actor.pos.y + actor.size.y;
+  }).sort(function(a, b) {
+    return entries.get(a).order - entries.get(b).order;
+  });
+};
+
 var maxStep = 0.05;
 // Gives all actors in the level a chance to move.
 // `step`: the time step in seconds
@@ -177,6 +522,11 @@ var maxStep = 0.05;
 Level.prototype.animate = function(step, keys) {
   if (this.status != null) {
     this.finishDelay -= step;
+  } else {
+    this.time += step;
+    // Running out of time counts as a loss
+    if (this.timeLimit && this.time > this.timeLimit)
+      this.finish("lost", "time");
   }
 
   // cut the time step into suitably small pieces, ensuring that step is not to large
@@ -184,6 +534,7 @@ Level.prototype.animate = function(step, keys) {
     var thisStep = Math.min(step, maxStep);
     this.actors.forEach(function(actor) {
       actor.act(thisStep, this, keys);
+      this.moved(actor);
     }, this);
     step -= thisStep;
   }
@@ -191,35 +542,140 @@ Level.prototype.animate = function(step, keys) {
 
 // Handles collisions between the player and other objects
 Level.prototype.playerTouched = function(type, actor) {
+  this.emit("playerTouched", {type: type, actor: actor || null});
+  // With a shield, lava is as harmless as a wall
+  if (type == "lava" && this.player.physics.lavaImmune)
+    return;
   if (type == "lava" && this.status == null) {
-    this.status = "lost";
-    this.finishDelay = 1;
-  } else if (type == "coin") {
-    this.actors = this.actors.filter(function(other) {
-      return other != actor;
-    });
-    if (!this.actors.some(function(actor) {
+    this.playSound("die");
+    this.finish("lost", "lava");
+  } else if (type == "coin" && this.status != "lost") {
+    // A player who already died (in lava squares earlier this step, say) leaves coins alone
+    this.removeActor(actor);
+    this.scoreCoin();
+    this.emit("coinCollected", {coin: actor});
+    if (this.status == null && !this.actors.some(function(actor) {
         return actor.type == "coin";
       })) {
-      this.status = "won";
-      this.finishDelay = 1;
+      this.finish("won");
+    }
+  } else if (type == "enemy") {
+    var player = this.player;
+    // Coming down on the upper half of an enemy stomps it, and the player bounces off. 
+    // Any other touch is as deadly as lava.
+    if (player.speed.y > 0 && player.pos.y + player.size.y < actor.pos.y + actor.size.y / 2) {
+      this.removeActor(actor);
+      player.speed.y = -stompBounce;
+      this.score += scoring.stompPoints;
+      this.playSound("stomp");
+      this.emit("enemyStomped", {enemy: actor});
+    } else if (this.status == null) {
+      this.playSound("die");
+      this.finish("lost", "enemy");
+    }
+  } else if (type == "checkpoint") {
+    if (!actor.active && this.status == null) {
+      this.reachCheckpoint(actor);
+      this.playSound("checkpoint");
+      this.emit("checkpointReached", {checkpoint: actor});
     }
+  } else if (type == "exit" && this.status == null) {
+    this.finish("won");
+  } else if (type == "powerup") {
+    this.removeActor(actor);
+    this.player.addPowerUp(actor.name);
+    this.playSound("powerup");
+    this.emit("powerUpCollected", {name: actor.name});
+  }
+};
+
+Level.prototype.removeActor = function(actor) {
+  this.actors = this.actors.filter(function(other) {
+    return other != actor;
+  });
+  this.index.remove(actor);
+};
+
+// End the level as "won" or "lost", keeping it active for another second. 
+// A win earns the time bonus and a loss costs the death penalty. 
+// `cause` tells what killed the player, for the "playerDied" event.
+Level.prototype.finish = function(status, cause) {
+  this.status = status;
+  this.finishDelay = 1;
+  this.playSound(status);
+  if (status == "won") {
+    this.score += this.timeBonus();
+    this.emit("levelWon");
+  } else {
+    this.score -= scoring.deathPenalty;
+    this.emit("playerDied", {cause: cause});
   }
 };
 
+/*
+Scoring
+
+Every coin is worth `coinPoints`, multiplied by the current streak: each coin collected within 
+`streakWindow` seconds of the previous one raises the multiplier by one, up to `maxMultiplier`.
+Stomping an enemy is worth `stompPoints`.
+Winning a level adds a time bonus for every second left under its time limit 
+(or `parTime` for levels without one), and losing one costs `deathPenalty`.
+*/
+var scoring = {
+  coinPoints: 100,
+  streakWindow: 1.5,
+  maxMultiplier: 4,
+  parTime: 60,
+  timeBonus: 10,
+  deathPenalty: 500,
+  stompPoints: 200
+};
+
+Level.prototype.scoreCoin = function() {
+  if (this.time - this.lastCoinTime <= scoring.streakWindow)
+    this.multiplier = Math.min(this.multiplier + 1, scoring.maxMultiplier);
+  else
+    this.multiplier = 1;
+  this.lastCoinTime = this.time;
+  this.score += scoring.coinPoints * this.multiplier;
+  this.playSound("coin");
+};
+
+Level.prototype.timeBonus = function() {
+  var par = this.timeLimit || scoring.parTime;
+  return Math.max(0, Math.round((par - this.time) * scoring.timeBonus));
+};
+
+/* gridChars object used to associate characters with the background square types */
+var gridChars = {
+  "x": "wall",
+  "!": "lava"
+};
+
 /* actorChars object used to associate characters with constructor functions */
 var actorChars = {
   "@": Player,
   "o": Coin,
   "=": Lava,
   "|": Lava,
-  "v": Lava
+  "v": Lava,
+  "-": Platform,
+  "^": Platform,
+  "e": Enemy,
+  "c": Checkpoint,
+  "d": Exit,
+  "j": PowerUp,
+  "s": PowerUp,
+  "h": PowerUp,
+  "g": PowerUp
 };
 
 /*
  ============================
  Actor objects
  ============================
+ Actor constructors are called with the actor's position, its plan character and the level 
+ being built.
  Actor objects have an `act` method, which takes as arguments the time step, the level object,
  and the keys object.
 */
@@ -234,64 +690,239 @@ When the player dies (touches lava), we set up a little animation that causes th
 
 Properties:
 speed: current speed
+physics: the player's own movement parameters: the level's `physics` (see `playerPhysics` 
+  below) plus the number of `airJumps` allowed before landing again and whether the player is 
+  `lavaImmune`. They are changed by power-ups.
+powerUps: the active power-ups, mapping each power-up's name to the seconds it has left
+onGround: whether the player stood on the floor (or a platform) at the end of the previous step
+airJumpsLeft: how many more jumps the player can make before landing
+jumpHeld: whether the jump key was held during the previous step
+jumping: whether the player is going up from a jump, which letting go of the jump key cuts short
+coyoteTime: the seconds left in which the player can still jump after walking off a ledge
+jumpBuffer: the seconds left in which a jump pressed in the air happens on landing
 */
-function Player(pos) {
+function Player(pos, ch, level) {
   // Because a player is 1.5 squares high, its initial position is set to be 0.5 square above the position where the @ character appeared. 
   // This way, its bottom aligns with the bottom of the square it appeared in.
   this.pos = pos.plus(new Vector(0, -0.5));
   this.size = new Vector(0.8, 1.5);
   this.speed = new Vector(0, 0);
+  this.basePhysics = level.physics;
+  this.powerUps = {};
+  this.updatePhysics();
+  this.onGround = false;
+  this.airJumpsLeft = 0;
+  this.jumpHeld = false;
+  this.jumping = false;
+  this.coyoteTime = 0;
+  this.jumpBuffer = 0;
 }
 
 Player.prototype.type = "player";
 
+// The player's movement parameters, which a level definition can override through its 
+// `physics`. Speeds are in squares per second, rates in squares per second per second and 
+// times in seconds. Like pretty much all other constants in this game, they have been set 
+// by trial and error.
+var playerPhysics = {
+  // Horizontal motion: the top running speed, how quickly the player gets up to it (or turns 
+  // around), and how quickly the player comes to a stop without a direction key held. 
+  // Both are weaker in the air.
+  xSpeed: 7,
+  acceleration: 70,
+  friction: 60,
+  airAcceleration: 40,
+  airFriction: 20,
+  // Vertical motion
+  gravity: 30,
+  jumpSpeed: 17,
+  // Letting go of the jump key on the way up multiplies the upward speed by this
+  jumpCut: 0.5,
+  // How long after walking off a ledge a jump still works
+  coyoteTime: 0.1,
+  // How long before landing a jump press is remembered
+  jumpBuffer: 0.12
+};
+
+// Move `value` towards `target` by at most `amount`
+function approach(value, target, amount) {
+  return value < target ? Math.min(value + amount, target) : Math.max(value - amount, target);
+}
+
 // Horizontal motion
-var playerXSpeed = 7;
 Player.prototype.moveX = function(step, level, keys) {
-  this.speed.x = 0;
-  if (keys.left) this.speed.x -= playerXSpeed;
-  if (keys.right) this.speed.x += playerXSpeed;
+  var physics = this.physics;
+  var direction = (keys.right ? 1 : 0) - (keys.left ? 1 : 0);
+  var rate = direction != 0 ?
+    (this.onGround ? physics.acceleration : physics.airAcceleration) :
+    (this.onGround ? physics.friction : physics.airFriction);
+  this.speed.x = approach(this.speed.x, direction * physics.xSpeed, rate * step);
 
   var motion = new Vector(this.speed.x * step, 0);
   var newPos = this.pos.plus(motion);
   var obstacle = level.obstacleAt(newPos, this.size);
-  if (obstacle)
+  if (obstacle) {
   // When a motion causes the player to hit something, the level’s `playerTouched` method, 
   // which handles things like dying in lava and collecting coins, is called. 
     level.playerTouched(obstacle);
-  else
+    this.speed.x = 0;
+  } else
   // Otherwise, the object updates its position.
     this.pos = newPos;
 };
 
 // Vertival motion
-// The gravity, jumping speed, and pretty much all other constants 
-// in this game have been set by trial and error.
-var gravity = 30;
-var jumpSpeed = 17;
+// The upward speed the player gets from stomping an enemy
+var stompBounce = 10;
 Player.prototype.moveY = function(step, level, keys) {
-  this.speed.y += step * gravity;
+  var physics = this.physics;
+  var pressed = keys.up && !this.jumpHeld;
+  this.jumpHeld = !!keys.up;
+  this.jumpBuffer = pressed ? physics.jumpBuffer : Math.max(0, this.jumpBuffer - step);
+  this.coyoteTime = this.onGround ? physics.coyoteTime : Math.max(0, this.coyoteTime - step);
+
+  // Holding the jump key keeps jumping every time the player lands, as it always has; 
+  // a press just before landing counts too
+  if ((keys.up || this.jumpBuffer > 0) && this.coyoteTime > 0)
+    this.jump(level);
+  // In the air, a fresh press of the jump key uses up one of the extra jumps (if any)
+  else if (pressed && this.airJumpsLeft > 0) {
+    this.airJumpsLeft--;
+    this.jump(level);
+  }
+  if (this.jumping && this.speed.y < 0 && !keys.up) {
+    this.speed.y *= physics.jumpCut;
+    this.jumping = false;
+  }
+
+  this.speed.y += step * physics.gravity;
+  if (this.speed.y >= 0) this.jumping = false;
   var motion = new Vector(0, this.speed.y * step);
   var newPos = this.pos.plus(motion);
   var obstacle = level.obstacleAt(newPos, this.size);
-  if (obstacle) {
-    level.playerTouched(obstacle);
-    if (keys.up && this.speed.y > 0)
-      this.speed.y = -jumpSpeed;
+  // Falling onto a platform stops the player just like the floor does
+  var platform = !obstacle && this.speed.y > 0 &&
+    level.platformUnder(this.pos, newPos, this.size);
+  this.onGround = false;
+  if (obstacle || platform) {
+    if (obstacle)
+      level.playerTouched(obstacle);
     else
-      this.speed.y = 0;
+      this.pos = new Vector(this.pos.x, platform.pos.y - this.size.y);
+    // Landing restores the extra jumps
+    if (this.speed.y > 0) {
+      this.onGround = true;
+      this.airJumpsLeft = physics.airJumps;
+    }
+    this.speed.y = 0;
   } else {
     this.pos = newPos;
   }
 };
 
+Player.prototype.jump = function(level) {
+  this.speed.y = -this.physics.jumpSpeed;
+  this.jumping = true;
+  this.onGround = false;
+  this.coyoteTime = 0;
+  this.jumpBuffer = 0;
+  level.playSound("jump");
+};
+
+/*
+Power-ups
+
+Each power-up lasts `duration` seconds and changes the player's physics through `apply`. 
+Collecting one that is already active starts its timer over.
+*/
+var powerUps = {
+  doubleJump: {
+    label: "Double jump",
+    duration: 10,
+    apply: function(physics) {
+      physics.airJumps += 1;
+    }
+  },
+  speedBoost: {
+    label: "Speed",
+    duration: 8,
+    apply: function(physics) {
+      physics.xSpeed *= 1.6;
+    }
+  },
+  shield: {
+    label: "Shield",
+    duration: 6,
+    apply: function(physics) {
+      physics.lavaImmune = true;
+    }
+  },
+  lowGravity: {
+    label: "Low gravity",
+    duration: 10,
+    apply: function(physics) {
+      physics.gravity *= 0.5;
+      physics.jumpSpeed *= 0.75;
+    }
+  }
+};
+
+// Recompute the player's physics from the level's and the active power-ups
+Player.prototype.updatePhysics = function() {
+  var physics = Object.assign({airJumps: 0, lavaImmune: false}, this.basePhysics);
+  for (var name in this.powerUps)
+    powerUps[name].apply(physics);
+  this.physics = physics;
+};
+
+Player.prototype.addPowerUp = function(name) {
+  this.powerUps[name] = powerUps[name].duration;
+  this.updatePhysics();
+  if (name == "doubleJump")
+    this.airJumpsLeft = this.physics.airJumps;
+};
+
+// Count down the power-ups' timers, dropping the ones that ran out
+Player.prototype.tickPowerUps = function(step) {
+  var expired = false;
+  for (var name in this.powerUps) {
+    this.powerUps[name] -= step;
+    if (this.powerUps[name] <= 0) {
+      delete this.powerUps[name];
+      expired = true;
+    }
+  }
+  if (expired)
+    this.updatePhysics();
+};
+
+// Whether the player is standing on top of `platform`
+Player.prototype.standingOn = function(platform) {
+  return Math.abs(this.pos.y + this.size.y - platform.pos.y) < platformTolerance &&
+    this.pos.x + this.size.x > platform.pos.x &&
+    this.pos.x < platform.pos.x + platform.size.x;
+};
+
+// Whether touching `actor` can kill the player
+function isHazard(actor) {
+  return actor.type == "lava" || actor.type == "enemy";
+}
+
 Player.prototype.act = function(step, level, keys) {
+  this.tickPowerUps(step);
   this.moveX(step, level, keys);
   this.moveY(step, level, keys);
 
-  var otherActor = level.actorAt(this);
-  if (otherActor)
-    level.playerTouched(otherActor.type, otherActor);
+  // The player may touch several actors at once, say a coin and a block of lava, 
+  // and each of them counts. Lava and enemies come first, so that dying beats picking up 
+  // the last coin or reaching the exit in the same step.
+  level.moved(this);
+  var touched = level.actorsAt(this);
+  touched.filter(isHazard).concat(touched.filter(function(other) {
+    return !isHazard(other);
+  })).forEach(function(other) {
+    level.playerTouched(other.type, other);
+  });
 
   // Losing animation
   if (level.status == "lost") {
@@ -308,24 +939,41 @@ Dynamic lava moves along at its given speed until it hits an obstacle. At that p
 - if it has a `repeatPos` property, it will jump back to its start position (dripping). 
 - If it does not, it will invert its speed and continue in the other direction (bouncing).
 */
-function Lava(pos, ch) {
+// The default speeds of moving actors, which a level definition can override through 
+// its `speeds`.
+var actorSpeeds = {
+  "=": 2,
+  "|": 2,
+  "v": 3,
+  "-": 2,
+  "^": 2,
+  "e": 2
+};
+
+function actorSpeed(level, ch) {
+  return level.speeds[ch] != null ? level.speeds[ch] : actorSpeeds[ch];
+}
+
+function Lava(pos, ch, level) {
   this.pos = pos;
   this.size = new Vector(1, 1);
+  var speed = actorSpeed(level, ch);
   if (ch == "=") {
-    this.speed = new Vector(2, 0);
+    this.speed = new Vector(speed, 0);
   } else if (ch == "|") {
-    this.speed = new Vector(0, 2);
+    this.speed = new Vector(0, speed);
   } else if (ch == "v") {
-    this.speed = new Vector(0, 3);
+    this.speed = new Vector(0, speed);
     this.repeatPos = pos;
   }
 }
 
 Lava.prototype.type = "lava";
 
+// Moving lava treats other moving lava it runs into like a wall.
 Lava.prototype.act = function(step, level) {
   var newPos = this.pos.plus(this.speed.times(step));
-  if (!level.obstacleAt(newPos, this.size))
+  if (!level.obstacleAt(newPos, this.size) && !level.bump(this, newPos, "lava"))
     this.pos = newPos;
   else if (this.repeatPos)
   // Dripping lava has a repeatPos property, to which it jumps back when it hits something
@@ -343,14 +991,14 @@ Coins mostly just sit in their place. But to liven up the game a little, they ar
 Properties:
 wobble: the randomized starting phase of sin's wave
 */
-function Coin(pos) {
+function Coin(pos, ch, level) {
   // `basePos` and `wobble` together determine the actual position.
 
   this.basePos = this.pos = pos.plus(new Vector(0.2, 0.1));
   this.size = new Vector(0.6, 0.6);
   // To avoid a situation where all coins move up and down synchronously, 
   // the starting phase of each coin is randomized.
-  this.wobble = Math.random() * Math.PI * 2;
+  this.wobble = level.random() * Math.PI * 2;
 }
 
 Coin.prototype.type = "coin";
@@ -367,6 +1015,259 @@ Coin.prototype.act = function(step) {
   this.pos = this.basePos.plus(new Vector(0, wobblePos));
 };
 
+/*
+Platform object
+
+Platforms move back and forth like bouncing lava, but are safe to touch: the player can land 
+on them from above (see `Level.prototype.platformUnder`) and is carried along while standing 
+on one. A run of `-` characters in the plan makes a single platform as wide as the run.
+
+Properties:
+ch: the plan character, `-` (horizontal) or `^` (vertical)
+*/
+function Platform(pos, ch, level) {
+  this.pos = pos;
+  this.size = new Vector(1, 0.4);
+  this.ch = ch;
+  var speed = actorSpeed(level, ch);
+  this.speed = ch == "-" ? new Vector(speed, 0) : new Vector(0, speed);
+}
+
+Platform.prototype.type = "platform";
+
+// How far apart (in squares) the player's feet and a platform's top may be to count as touching
+var platformTolerance = 0.01;
+
+// Called by the Level constructor with the next square of the plan. A horizontal platform 
+// takes in the square right after it when it holds the same character.
+Platform.prototype.extend = function(pos, ch) {
+  if (ch != "-" || this.ch != "-" ||
+    pos.y != this.pos.y || pos.x != this.pos.x + this.size.x)
+    return false;
+  this.size.x += 1;
+  return true;
+};
+
+Platform.prototype.act = function(step, level) {
+  var motion = this.speed.times(step);
+  var newPos = this.pos.plus(motion);
+  if (level.obstacleAt(newPos, this.size)) {
+    this.speed = this.speed.times(-1);
+    return;
+  }
+  // Carry a player standing on the platform along, unless a wall is in the way
+  var player = level.player;
+  if (player.standingOn(this)) {
+    var carried = player.pos.plus(motion);
+    if (!level.obstacleAt(carried, player.size)) {
+      player.pos = carried;
+      level.moved(player);
+    }
+  }
+  this.pos = newPos;
+};
+
+/*
+Enemy object
+
+Enemies patrol the floor they stand on, turning around at walls, lava, ledges and each other. 
+How touching one ends is decided in `Level.prototype.playerTouched`.
+*/
+function Enemy(pos, ch, level) {
+  this.pos = pos.plus(new Vector(0.1, 0.2));
+  this.size = new Vector(0.8, 0.8);
+  this.speed = new Vector(actorSpeed(level, ch), 0);
+}
+
+Enemy.prototype.type = "enemy";
+
+Enemy.prototype.act = function(step, level) {
+  var newPos = this.pos.plus(this.speed.times(step));
+  // Look at a thin strip of floor just below the enemy's leading edge
+  var probe = new Vector(this.speed.x > 0 ? newPos.x + this.size.x - 0.1 : newPos.x,
+    newPos.y + this.size.y + 0.1);
+  var floor = level.obstacleAt(probe, new Vector(0.1, 0.1));
+  if (level.obstacleAt(newPos, this.size) || floor != "wall" ||
+      level.bump(this, newPos, "enemy"))
+    this.speed = this.speed.times(-1);
+  else
+    this.pos = newPos;
+};
+
+/*
+Checkpoint object
+
+A flag pole the player can touch. The last checkpoint touched is remembered by the level 
+(see `Level.prototype.reachCheckpoint`), and the level restarts there after a loss.
+
+Properties:
+square: the grid square the checkpoint was placed on, where the player respawns
+active: whether this is the checkpoint the level will restart at
+*/
+function Checkpoint(pos) {
+  this.square = pos;
+  this.pos = pos.plus(new Vector(0.3, -0.5));
+  this.size = new Vector(0.4, 1.5);
+  this.active = false;
+}
+
+Checkpoint.prototype.type = "checkpoint";
+
+Checkpoint.prototype.act = function() {};
+
+/*
+Exit object
+
+A door that wins the level when the player reaches it, whether or not all coins have been 
+collected. It is two squares high, so it extends into the square above its plan character.
+*/
+function Exit(pos) {
+  this.pos = pos.plus(new Vector(0.1, -1));
+  this.size = new Vector(0.8, 2);
+}
+
+Exit.prototype.type = "exit";
+
+Exit.prototype.act = function() {};
+
+/*
+PowerUp object
+
+A collectible that gives the player one of the `powerUps` for a while. Like coins, power-ups 
+wobble in place.
+
+Properties:
+name: the name of the power-up in `powerUps`
+*/
+var powerUpChars = {
+  "j": "doubleJump",
+  "s": "speedBoost",
+  "h": "shield",
+  "g": "lowGravity"
+};
+
+function PowerUp(pos, ch, level) {
+  this.basePos = this.pos = pos.plus(new Vector(0.2, 0.1));
+  this.size = new Vector(0.6, 0.6);
+  this.name = powerUpChars[ch];
+  this.wobble = level.random() * Math.PI * 2;
+}
+
+PowerUp.prototype.type = "powerup";
+
+PowerUp.prototype.act = Coin.prototype.act;
+
+/*
+Camera object
+
+Decides which part of the level is visible. It works in level units and knows nothing about 
+drawing, so every display can use it: DOMDisplay turns its position into scroll offsets, 
+CanvasDisplay into the part of the background buffer it copies.
+
+Instead of jumping whenever the player comes near an edge of the view, the camera glides 
+towards its target (linear interpolation, `follow`), looks ahead in the direction the player 
+is running (`lookAhead`), ignores small vertical movements such as jumps (`deadZone`), 
+and never shows anything outside the level. When the player dies, the view shakes.
+
+Properties:
+pos: the top-left corner of the view, in level units
+size: the size of the view, in level units
+look: the current look-ahead offset, which moves towards `lookAhead` squares on either side
+*/
+function Camera(level, size) {
+  this.level = level;
+  this.size = size;
+  this.look = 0;
+  this.shakeTime = 0;
+  this.shaken = false;
+  this.pos = null;
+  this.pos = this.clamp(this.target());
+}
+
+var cameraSettings = {
+  // How quickly the camera catches up with its target: the fraction of the distance 
+  // left that is covered each second is 1 - e^-follow
+  follow: 5,
+  // How far (in squares) the camera looks ahead of a running player
+  lookAhead: 3,
+  // How quickly the look-ahead swings to the other side when the player turns around
+  lookFollow: 2,
+  // The band in the middle of the view, as a fraction of its height, inside which the player 
+  // can move up and down without the camera following
+  deadZone: 0.3,
+  // How far (in squares) and how long (in seconds) the view shakes when the player dies
+  shakeDistance: 0.3,
+  shakeDuration: 0.4
+};
+
+// The camera position that centres the player, shifted by the look-ahead. Vertically, the 
+// camera stays where it is as long as the player is inside the dead zone. With reduced motion 
+// switched on (see js/accessibility.js), a player in the air is followed only once they are 
+// about to leave the view, so jumps do not move the view up and down.
+Camera.prototype.target = function() {
+  var player = this.level.player;
+  var center = player.pos.plus(player.size.times(0.5));
+  var x = center.x - this.size.x / 2 + this.look;
+
+  var y = center.y - this.size.y / 2;
+  if (this.pos) {
+    var zone = this.size.y * cameraSettings.deadZone / 2;
+    if (reducedMotion() && player.speed.y != 0)
+      zone = this.size.y / 2 - player.size.y;
+    // Only the part of the movement that goes beyond the dead zone is followed
+    var offset = y - this.pos.y;
+    if (Math.abs(offset) <= zone)
+      y = this.pos.y;
+    else
+      y -= offset > 0 ? zone : -zone;
+  }
+  return new Vector(x, y);
+};
+
+// Keep the view inside the level. A level smaller than the view is shown from its top-left corner.
+Camera.prototype.clamp = function(pos) {
+  return new Vector(
+    Math.max(0, Math.min(pos.x, this.level.width - this.size.x)),
+    Math.max(0, Math.min(pos.y, this.level.height - this.size.y)));
+};
+
+// The displays call this with a new size when the window is resized
+Camera.prototype.resize = function(size) {
+  this.size = size;
+  this.pos = this.clamp(this.pos);
+};
+
+// Move the camera `step` seconds further towards its target
+Camera.prototype.update = function(step) {
+  var speed = this.level.player.speed.x;
+  if (speed != 0) {
+    var lookTarget = speed > 0 ? cameraSettings.lookAhead : -cameraSettings.lookAhead;
+    this.look += (lookTarget - this.look) * (1 - Math.exp(-cameraSettings.lookFollow * step));
+  }
+  var target = this.clamp(this.target());
+  var amount = 1 - Math.exp(-cameraSettings.follow * step);
+  this.pos = this.pos.plus(target.plus(this.pos.times(-1)).times(amount));
+
+  if (this.level.status == "lost" && !this.shaken) {
+    this.shaken = true;
+    if (!reducedMotion()) this.shakeTime = cameraSettings.shakeDuration;
+  }
+  this.shakeTime = Math.max(0, this.shakeTime - step);
+};
+
+// How far the view is pushed away from its position by shaking, in level units. The displays 
+// move their whole element by this much, so shaking works at the edges of the level too.
+Camera.prototype.shakeOffset = function() {
+  if (this.shakeTime <= 0) return new Vector(0, 0);
+  var strength = cameraSettings.shakeDistance * this.shakeTime / cameraSettings.shakeDuration;
+  return new Vector((Math.random() * 2 - 1) * strength, (Math.random() * 2 - 1) * strength);
+};
+
+// Whether the player asked for reduced motion. Outside the browser there is no one to ask.
+function reducedMotion() {
+  return typeof accessibility != "undefined" && accessibility.settings.reducedMotion;
+}
+
 /*
 DOMDisplay object
 
@@ -381,25 +1282,84 @@ function DOMDisplay(parent, level) {
   this.wrap = parent.appendChild(elt("div", "game"));
   this.level = level;
 
-  // The level’s background, which never changes, is drawn once.
-  this.wrap.appendChild(this.drawBackground());
+  // The level’s background, which never changes, is drawn once (and again when the window 
+  // is resized, see `resize`).
+  this.backgroundLayer = null;
+  // Created once the size of the view is known
+  this.camera = null;
   // The actors are redrawn every time the display is updated. 
   // The `actorLayer` property will be used by `drawFrame` to track the element that holds 
   // the actors so that they can be easily removed and replaced.
   this.actorLayer = null;
-  this.drawFrame();
+  this.resize();
+  this.resizer = trackResize(this.resize.bind(this));
 }
 
 // When setting pixel sizes, we will have to scale these coordinates up—everything in the game would be ridiculously small at a single pixel per square.
+// `scale` is the size of a square in the level editor, and the size the game was designed for.
 var scale = 20;
 
+// The game shows (at least) `viewSquares` of the level, the 600×450 pixel view of the original 
+// game at `scale`. The displays scale the squares so that this view fills the window, 
+// making the game neither tiny on large monitors nor cropped on phones.
+var viewSquares = new Vector(30, 22.5);
+
+// The number of CSS pixels per square that makes the view (`viewSquares`, unless another size 
+// is given) fill the window. It is rounded down to whole device pixels, so the edges of squares 
+// stay sharp on high-density screens.
+function fitScale(view) {
+  view = view || viewSquares;
+  var ratio = window.devicePixelRatio || 1;
+  var fit = Math.min(innerWidth / view.x, innerHeight / view.y);
+  return Math.max(1, Math.floor(fit * ratio)) / ratio;
+}
+
+// Call `onResize` whenever the window changes size or the screen is rotated (some browsers 
+// report a rotation before the window has its new size, others only fire one of the events). 
+// Like `trackKeys`, it returns an object with an `unregister` method.
+function trackResize(onResize) {
+  var orientation = window.screen && screen.orientation;
+  addEventListener("resize", onResize);
+  addEventListener("orientationchange", onResize);
+  if (orientation) orientation.addEventListener("change", onResize);
+  return {
+    unregister: function() {
+      removeEventListener("resize", onResize);
+      removeEventListener("orientationchange", onResize);
+      if (orientation) orientation.removeEventListener("change", onResize);
+    }
+  };
+}
+
+// Fit the display to the window: compute the scale, size the wrapper to show as much of the level 
+// as fits, and redraw the background and actors at the new scale.
+DOMDisplay.prototype.resize = function() {
+  this.scale = fitScale();
+  var width = Math.min(innerWidth, this.level.width * this.scale),
+    height = Math.min(innerHeight, this.level.height * this.scale);
+  this.wrap.style.width = width + "px";
+  this.wrap.style.height = height + "px";
+  var size = new Vector(width / this.scale, height / this.scale);
+  if (this.camera)
+    this.camera.resize(size);
+  else
+    this.camera = new Camera(this.level, size);
+  if (this.backgroundLayer)
+    this.wrap.removeChild(this.backgroundLayer);
+  this.backgroundLayer = this.wrap.insertBefore(this.drawBackground(), this.wrap.firstChild);
+  this.drawFrame();
+};
+
 // The background is drawn as a `<table>` element. This nicely corresponds to the structure 
 // of the grid property in the level—
 // each row of the grid is turned into a table row (`<tr>` element). 
 // The strings in the grid are used as class names for the table cell (`<td>`) elements.
 DOMDisplay.prototype.drawBackground = function() {
   var table = elt("table", "background");
+  var scale = this.scale;
   table.style.width = this.level.width * scale + "px";
+  if (this.level.background)
+    table.style.background = this.level.background;
   this.level.grid.forEach(function(row) {
     var rowElt = table.appendChild(elt("tr"));
     rowElt.style.height = scale + "px";
@@ -410,18 +1370,29 @@ DOMDisplay.prototype.drawBackground = function() {
   return table;
 };
 
+// With reduced motion switched on (see js/accessibility.js), wobbling coins and power-ups 
+// are drawn at rest. Only the drawing changes, so the simulation and replays are not affected.
+function drawnPos(actor) {
+  if (reducedMotion() && actor.basePos)
+    return actor.basePos;
+  return actor.pos;
+}
+
 // We draw each actor by creating a DOM element for it and setting that element’s position 
 // and size based on the actor’s properties. 
 // The values have to be multiplied by scale to go from game units to pixels.
 DOMDisplay.prototype.drawActors = function() {
   var wrap = elt("div");
+  var scale = this.scale;
   this.level.actors.forEach(function(actor) {
     var rect = wrap.appendChild(elt("div",
-      "actor " + actor.type));
+      "actor " + actor.type + (actor.name ? " " + actor.name : "") +
+      (actor.active ? " active" : "")));
+    var pos = drawnPos(actor);
     rect.style.width = actor.size.x * scale + "px";
     rect.style.height = actor.size.y * scale + "px";
-    rect.style.left = actor.pos.x * scale + "px";
-    rect.style.top = actor.pos.y * scale + "px";
+    rect.style.left = pos.x * scale + "px";
+    rect.style.top = pos.y * scale + "px";
   });
   return wrap;
 };
@@ -430,59 +1401,333 @@ DOMDisplay.prototype.drawActors = function() {
 // if any, and then redraws them in their new positions.
 // Since there will typically be only a handful of actors in the game, redrawing all of 
 // them is not expensive.
-DOMDisplay.prototype.drawFrame = function() {
+DOMDisplay.prototype.drawFrame = function(step) {
   if (this.actorLayer)
     this.wrap.removeChild(this.actorLayer);
   this.actorLayer = this.wrap.appendChild(this.drawActors());
   // By adding the level’s current status as a class name to the wrapper, 
   // we can style the player actor slightly differently when the game is won or lost
   this.wrap.className = "game " + (this.level.status || "");
-  this.scrollPlayerIntoView();
+  this.scrollToCamera(step);
 };
 
 // We can’t assume that levels always fit in the viewport. 
-// That is why the `scrollPlayerIntoView` call is needed—
-// it ensures that if the level is protruding outside the viewport, 
-// we scroll that viewport to make sure the player is near its center.
-// In this method, we find the player’s position and update the wrapping element’s 
-// scroll position.
-DOMDisplay.prototype.scrollPlayerIntoView = function() {
-  var width = this.wrap.clientWidth;
-  var height = this.wrap.clientHeight;
-  var margin = width / 3;
-
-  // The viewport
-  var left = this.wrap.scrollLeft,
-    right = left + width;
-  var top = this.wrap.scrollTop,
-    bottom = top + height;
-
-  var player = this.level.player;
-  // To find the actor’s center, we add its position (its top-left corner) and half its size. 
-  // That is the center in level coordinates, but we need it in pixel coordinates, 
-  // so we then multiply the resulting vector by our display scale.
-  var center = player.pos.plus(player.size.times(0.5)).times(scale);
-
-  // Note that sometimes this will set nonsense scroll coordinates, 
-  // below zero or beyond the element’s scrollable area. 
-  // This is okay—the DOM will constrain them to sane values. 
-  // Setting scrollLeft to -10 will cause it to become 0.
-  if (center.x < left + margin)
-    this.wrap.scrollLeft = center.x - margin;
-  else if (center.x > right - margin)
-    this.wrap.scrollLeft = center.x + margin - width;
-
-  if (center.y < top + margin)
-    this.wrap.scrollTop = center.y - margin;
-  else if (center.y > bottom - margin)
-    this.wrap.scrollTop = center.y + margin - height;
+// The camera decides which part of the level is shown, and we scroll the wrapping element 
+// to show that part. While the camera shakes, the whole element is moved by the shake.
+DOMDisplay.prototype.scrollToCamera = function(step) {
+  this.camera.update(step || 0);
+  this.wrap.scrollLeft = this.camera.pos.x * this.scale;
+  this.wrap.scrollTop = this.camera.pos.y * this.scale;
+  var shake = this.camera.shakeOffset().times(this.scale);
+  this.wrap.style.marginLeft = shake.x + "px";
+  this.wrap.style.marginTop = shake.y + "px";
 };
 
 // To clear a displayed level, to be used when the game moves to the next level or resets a level.
 DOMDisplay.prototype.clear = function() {
+  this.resizer.unregister();
   this.wrap.parentNode.removeChild(this.wrap);
 };
 
+/*
+CanvasDisplay object
+
+A drop-in alternative to `DOMDisplay` that draws the level on a `<canvas>` element. 
+It has the same interface—a constructor taking a parent element and a level object, 
+plus `drawFrame` and `clear` methods—so it can be handed to the scene manager 
+(see js/scenes.js) in place of DOMDisplay.
+
+Instead of rebuilding DOM elements on every frame, the background, which never changes, 
+is drawn once to an offscreen buffer canvas. Every frame we copy the visible part of that buffer 
+and draw the actors on top of it.
+
+Properties:
+canvas: the visible canvas element
+cx: the 2D drawing context of the visible canvas
+background: the offscreen buffer canvas holding the whole level's background
+camera: the Camera deciding which part of the level is visible
+pixelScale: the number of canvas pixels per square. The canvas has a pixel for every device 
+  pixel, so this is the display's scale times the device pixel ratio.
+*/
+function CanvasDisplay(parent, level) {
+  this.canvas = document.createElement("canvas");
+  this.canvas.className = "game";
+  parent.appendChild(this.canvas);
+  this.cx = this.canvas.getContext("2d");
+
+  this.level = level;
+  // Created once the size of the view is known
+  this.camera = null;
+  this.background = document.createElement("canvas");
+  this.resize();
+  this.resizer = trackResize(this.resize.bind(this));
+  // Sprites load asynchronously, so the background is redrawn once each one arrives.
+  loadSprites(this.drawBackground.bind(this));
+}
+
+// Like `DOMDisplay.prototype.resize`: fit the canvas to the window, and redraw the background 
+// buffer at the new scale.
+CanvasDisplay.prototype.resize = function() {
+  var ratio = window.devicePixelRatio || 1;
+  var scale = fitScale(),
+    level = this.level;
+  this.scale = scale;
+  this.pixelScale = Math.round(scale * ratio);
+  var width = Math.min(innerWidth, level.width * scale),
+    height = Math.min(innerHeight, level.height * scale);
+  this.canvas.style.width = width + "px";
+  this.canvas.style.height = height + "px";
+  this.canvas.width = Math.round(width * ratio);
+  this.canvas.height = Math.round(height * ratio);
+  var size = new Vector(this.canvas.width / this.pixelScale, this.canvas.height / this.pixelScale);
+  if (this.camera)
+    this.camera.resize(size);
+  else
+    this.camera = new Camera(level, size);
+
+  this.background.width = level.width * this.pixelScale;
+  this.background.height = level.height * this.pixelScale;
+  this.drawBackground();
+  this.drawFrame(0);
+};
+
+// The colours mirror the ones used by style.css for DOMDisplay.
+var canvasColors = {
+  background: "rgb(52, 166, 251)",
+  wall: "white",
+  lava: "rgb(255, 100, 100)",
+  coin: "rgb(241, 229, 89)",
+  player: "rgb(64, 64, 64)",
+  lostPlayer: "rgb(160, 64, 64)",
+  platform: "rgb(140, 100, 60)",
+  enemy: "rgb(120, 40, 160)",
+  checkpoint: "rgb(180, 180, 180)",
+  activeCheckpoint: "rgb(80, 200, 80)",
+  exit: "rgb(110, 70, 30)",
+  doubleJump: "rgb(255, 255, 255)",
+  speedBoost: "rgb(255, 160, 0)",
+  shield: "rgb(0, 200, 200)",
+  lowGravity: "rgb(200, 120, 255)"
+};
+
+// The high-contrast palette, which mirrors the `.high-contrast` rules in style.css. Its colours 
+// (from the Okabe-Ito set) stay distinguishable with any kind of colour blindness, and lava gets 
+// a striped pattern so it can be told apart from everything else without relying on colour.
+var contrastColors = {
+  background: "black",
+  wall: "white",
+  lava: stripes("rgb(213, 94, 0)", "black"),
+  coin: "rgb(240, 228, 66)",
+  player: "rgb(86, 180, 233)",
+  lostPlayer: "rgb(213, 94, 0)",
+  platform: "rgb(0, 114, 178)",
+  enemy: "rgb(204, 121, 167)",
+  checkpoint: "rgb(128, 128, 128)",
+  activeCheckpoint: "rgb(0, 158, 115)",
+  exit: "rgb(230, 159, 0)",
+  doubleJump: "white",
+  speedBoost: "rgb(230, 159, 0)",
+  shield: "rgb(0, 158, 115)",
+  lowGravity: "rgb(204, 121, 167)"
+};
+
+// A fill that paints diagonal stripes. The pattern is created the first time it is drawn with, 
+// since it needs a drawing context.
+function stripes(color, stripeColor) {
+  var patterns = new WeakMap();
+  return function(cx) {
+    if (!patterns.has(cx)) {
+      var tile = document.createElement("canvas");
+      tile.width = tile.height = 8;
+      var tileCx = tile.getContext("2d");
+      tileCx.fillStyle = color;
+      tileCx.fillRect(0, 0, 8, 8);
+      tileCx.strokeStyle = stripeColor;
+      tileCx.lineWidth = 2;
+      tileCx.beginPath();
+      tileCx.moveTo(-2, 2);
+      tileCx.lineTo(2, -2);
+      tileCx.moveTo(0, 8);
+      tileCx.lineTo(8, 0);
+      tileCx.moveTo(6, 10);
+      tileCx.lineTo(10, 6);
+      tileCx.stroke();
+      patterns.set(cx, cx.createPattern(tile, "repeat"));
+    }
+    return patterns.get(cx);
+  };
+}
+
+// The palette the player chose: "standard" or "contrast". Without js/accessibility.js loaded 
+// (outside the game page), it is the default one.
+function currentPalette() {
+  return typeof accessibility != "undefined" ? accessibility.settings.palette : "standard";
+}
+
+// The fill for a square or actor in the chosen palette
+function paletteColor(cx, type) {
+  if (currentPalette() != "contrast")
+    return canvasColors[type];
+  var color = contrastColors[type];
+  return typeof color == "function" ? color(cx) : color;
+}
+
+/*
+Sprites
+
+Images used by CanvasDisplay in place of the plain coloured rectangles. 
+A sprite that is missing or has not finished loading falls back to its colour in `canvasColors`, 
+so the game is playable before (or without) any image. The high-contrast palette 
+does not use sprites at all.
+*/
+var spriteFiles = {
+  player: "images/player.svg",
+  coin: "images/coin.svg",
+  lava: "images/lava.svg"
+};
+var sprites = Object.create(null);
+
+// Start loading every sprite once, calling `onLoad` whenever one of them becomes usable.
+function loadSprites(onLoad) {
+  Object.keys(spriteFiles).forEach(function(type) {
+    var image = sprites[type];
+    if (!image) {
+      image = sprites[type] = document.createElement("img");
+      image.src = spriteFiles[type];
+    }
+    if (!image.complete)
+      image.addEventListener("load", onLoad);
+  });
+}
+
+function spriteFor(type) {
+  var image = sprites[type];
+  if (image && image.complete && image.naturalWidth > 0)
+    return image;
+  return null;
+}
+
+// Draw a square or actor either with its sprite or as a rectangle of its colour.
+function drawSprite(cx, type, x, y, width, height) {
+  var contrast = currentPalette() == "contrast";
+  var image = !contrast && spriteFor(type);
+  if (image) {
+    cx.drawImage(image, x, y, width, height);
+  } else if (contrast && type == "coin") {
+    // Round, so coins differ from the square power-ups in shape too
+    cx.fillStyle = paletteColor(cx, type);
+    cx.beginPath();
+    cx.ellipse(x + width / 2, y + height / 2, width / 2, height / 2, 0, 0, 2 * Math.PI);
+    cx.fill();
+  } else {
+    cx.fillStyle = paletteColor(cx, type);
+    cx.fillRect(x, y, width, height);
+  }
+}
+
+// Paint the grid onto the offscreen buffer. This happens once per level 
+// (and again whenever a sprite finishes loading), never per frame.
+CanvasDisplay.prototype.drawBackground = function() {
+  var cx = this.background.getContext("2d");
+  var scale = this.pixelScale;
+  this.palette = currentPalette();
+  cx.fillStyle = this.palette != "contrast" && this.level.background ||
+    paletteColor(cx, "background");
+  cx.fillRect(0, 0, this.background.width, this.background.height);
+  this.level.grid.forEach(function(row, y) {
+    row.forEach(function(type, x) {
+      if (type)
+        drawSprite(cx, type, x * scale, y * scale, scale, scale);
+    });
+  });
+};
+
+CanvasDisplay.prototype.drawFrame = function(step) {
+  // The palette can be changed in the middle of a level
+  if (this.palette != currentPalette())
+    this.drawBackground();
+  this.updateViewport(step);
+  this.clearDisplay();
+  this.drawActors();
+};
+
+// The canvas equivalent of `DOMDisplay.prototype.scrollToCamera`: the camera's position 
+// decides which part of the background buffer is copied, and shaking moves the canvas.
+CanvasDisplay.prototype.updateViewport = function(step) {
+  this.camera.update(step || 0);
+  var shake = this.camera.shakeOffset().times(this.scale);
+  this.canvas.style.marginLeft = shake.x + "px";
+  this.canvas.style.marginTop = shake.y + "px";
+};
+
+// Copy the visible part of the background buffer onto the canvas.
+CanvasDisplay.prototype.clearDisplay = function() {
+  var scale = this.pixelScale;
+  var left = Math.floor(this.camera.pos.x * scale),
+    top = Math.floor(this.camera.pos.y * scale);
+  this.cx.drawImage(this.background,
+    left, top, this.canvas.width, this.canvas.height,
+    0, 0, this.canvas.width, this.canvas.height);
+};
+
+CanvasDisplay.prototype.drawActors = function() {
+  var view = this.camera.pos,
+    cx = this.cx,
+    status = this.level.status,
+    scale = this.pixelScale;
+  var left = Math.floor(view.x * scale),
+    top = Math.floor(view.y * scale);
+
+  this.level.actors.forEach(function(actor) {
+    var width = actor.size.x * scale,
+      height = actor.size.y * scale;
+    var pos = drawnPos(actor);
+    var x = pos.x * scale - left,
+      y = pos.y * scale - top;
+
+    if (actor.type == "player") {
+      // The same won/lost hints as the `.won .player` and `.lost .player` rules in style.css
+      if (status == "won") {
+        cx.shadowColor = "white";
+        cx.shadowBlur = 8;
+      }
+      if (status == "lost") {
+        drawSprite(cx, "lostPlayer", x, y, width, height);
+      } else {
+        drawSprite(cx, "player", x, y, width, height);
+      }
+      cx.shadowBlur = 0;
+    } else if (actor.type == "checkpoint" && actor.active) {
+      drawSprite(cx, "activeCheckpoint", x, y, width, height);
+    } else if (actor.type == "powerup") {
+      drawSprite(cx, actor.name, x, y, width, height);
+    } else {
+      drawSprite(cx, actor.type, x, y, width, height);
+    }
+  });
+};
+
+CanvasDisplay.prototype.clear = function() {
+  this.resizer.unregister();
+  this.canvas.parentNode.removeChild(this.canvas);
+};
+
+/*
+NullDisplay object
+
+A display that draws nothing, for running a level without showing it. `runLevel` still needs 
+a browser page with it—it listens for keys, touches and controllers, plays sound and shows the 
+pause menu—so only `simulateLevel` runs a level truly headless, in Node for example 
+(see test/).
+*/
+function NullDisplay(parent, level) {
+  this.level = level;
+}
+
+NullDisplay.prototype.drawFrame = function() {};
+
+NullDisplay.prototype.clear = function() {};
+
 /*
  ============================
  Key tracking
@@ -490,21 +1735,32 @@ DOMDisplay.prototype.clear = function() {
  For a game like this, we do not want keys to take effect once per keypress. Rather, we want  
  their effect (moving the player figure) to continue happening as long as they are pressed.
 */
-var arrowCodes = {
-  37: "left",
-  38: "up",
-  39: "right",
+// The keys bound to each action. Keys are named by `event.code`, which names the physical key 
+// (so WASD stays in the same place on any keyboard layout), or by `event.key` for keys that 
+// have no code. The player can rebind them (see js/accessibility.js).
+var defaultKeys = {
+  left: ["ArrowLeft", "KeyA"],
+  right: ["ArrowRight", "KeyD"],
+  up: ["ArrowUp", "KeyW"],
+  pause: ["Escape"]
 };
 
-// Track the current position of keys.
-function trackKeys(codes) {
+// Whether `event` comes from one of the keys in `keys`
+function keyMatches(keys, event) {
+  return keys.indexOf(event.code) >= 0 || keys.indexOf(event.key) >= 0;
+}
+
+// Track the current position of keys. `bindings` maps each action to its keys, 
+// like `defaultKeys`; the returned object has a flag for every action.
+function trackKeys(bindings) {
   var pressed = Object.create(null);
 
   function handler(event) {
-    if (codes.hasOwnProperty(event.keyCode)) {
-      var down = event.type == "keydown";
-      pressed[codes[event.keyCode]] = down;
-      event.preventDefault();
+    for (var action in bindings) {
+      if (keyMatches(bindings[action], event)) {
+        pressed[action] = event.type == "keydown";
+        event.preventDefault();
+      }
     }
   }
   addEventListener("keydown", handler);
@@ -542,7 +1798,8 @@ function runAnimation(frameFunc) {
       // In this case, the difference between `lastTime` and `time` will be the entire time 
       // in which the page was hidden. Advancing the game by that much in a single step 
       // will look silly and might be a lot of work (remember the time-splitting in 
-      // the `animate` method).
+      // the `animate` method). `runLevel` pauses the game when the page is hidden, 
+      // but a stalled browser can still deliver a frame late.
       var timeStep = Math.min(time - lastTime, 100) / 1000; // convert to seconds
       stop = frameFunc(timeStep) == false;
     }
@@ -553,220 +1810,252 @@ function runAnimation(frameFunc) {
   requestAnimationFrame(frame);
 }
 
+// The length of a frame varies with the browser and the machine, and floating point results 
+// differ depending on how time is cut up, so a run with variable steps can never be reproduced. 
+// Instead, the game advances the simulation in fixed ticks of `fixedStep` seconds: 
+// `fixedStepper` returns a function that takes the (variable) frame time and calls `tick` 
+// as many times as fit in it, carrying the remainder over to the next frame.
+var fixedStep = 1 / 60;
+
+function fixedStepper(tick) {
+  var pending = 0;
+  return function(step) {
+    pending += step;
+    while (pending >= fixedStep) {
+      pending -= fixedStep;
+      tick();
+    }
+  };
+}
+
+// Run a level without any display, input devices or animation frames—all the simulation needs is 
+// `Level`, the actors and `Vector`, none of which touch the DOM. 
+// `keysAt(tick, level)` returns the keys held during each tick. The level is advanced in 
+// `fixedStep` ticks until it is finished or `maxTicks` have passed, and is then returned.
+function simulateLevel(level, keysAt, maxTicks) {
+  for (var tick = 0; tick < maxTicks && !level.isFinished(); tick++)
+    level.animate(fixedStep, keysAt(tick, level));
+  return level;
+}
+
 // The runLevel function takes a Level object, a constructor for a display, 
-// and, optionally, a function.
+// and, optionally, a function and an options object.
 // It displays the level (in `document.body`) and lets the user play through it.
 // When the level is finished (lost or won), `runLevel` clears the display, stops the animation.
 // and, if an `andThen` function was given, calls that function with the level’s status.
-// Pausing feature is added. You can press ESC to pause the game.
-function runLevel(level, Display, andThen) {
+// The options may hold a `hud` (see js/hud.js), which is updated with the level's state every 
+// frame, a `recorder` (see js/replay.js), which is given the keys of every tick, the number 
+// of the `music` track to loop while the level runs (see js/audio.js), an `onPause` 
+// function, called with true when the game is paused and with false once it runs again, and 
+// a `quitLabel` for the pause menu's quit button.
+// While it runs, the level reports its events to `gameEvents`, and `runLevel` adds its own: 
+// "levelStart", "paused", "resumed" and "levelEnd".
+// Anything with the `animate`, `isFinished` and `status` of a Level can be run, along with a 
+// display for it: js/dodge.js runs its `DodgeGame` this way.
+// Pausing feature is added. You can press ESC (or whichever key is bound to pause, see 
+// js/accessibility.js) to pause the game, press Start on a controller (see js/gamepad.js), 
+// or tap the pause button of the on-screen controls on touch devices (see js/touch.js). 
+// The game also pauses by itself when the page is hidden. While paused, a menu is shown 
+// (see js/pause.js); choosing "Restart level" or "Quit to level select" there ends the level 
+// too, and `andThen` is called with "restart" or "quit" instead of a status.
+function runLevel(level, Display, andThen, options) {
+  var hud = options && options.hud,
+    recorder = options && options.recorder,
+    music = options && options.music,
+    onPause = options && options.onPause,
+    quitLabel = options && options.quitLabel;
   var display = new Display(document.body, level);
-  var running = "yes";
+  // "running", "paused" (the pause menu is shown), "settings" (the settings screen is open 
+  // on top of the pause menu) or "countdown" (about to resume)
+  var state = "running";
+  // Whether the animation loop is going. After pausing, it only stops at its next frame.
+  var animating = false;
+  var menu = null,
+    countdown = null;
+  level.sounds = soundManager;
+  level.events = gameEvents;
+  function emit(type, data) {
+    gameEvents.emit(type, Object.assign({level: level}, data));
+  }
+  if (music != null)
+    soundManager.startMusic(music);
+
+  function setState(newState) {
+    var wasRunning = state == "running";
+    state = newState;
+    touch.setPaused(state != "running");
+    // Sound is frozen along with the game
+    if (state == "running")
+      soundManager.resume();
+    else
+      soundManager.suspend();
+    if (wasRunning != (state == "running")) {
+      emit(wasRunning ? "paused" : "resumed");
+      if (onPause)
+        onPause(wasRunning);
+    }
+  }
+
+  // Pause the game unless it is already paused. A countdown that is under way is cancelled.
+  function pause() {
+    if (state != "running" && state != "countdown") return;
+    if (countdown) {
+      countdown.cancel();
+      countdown = null;
+    }
+    setState("paused");
+    // Keys released while the page was hidden never send a keyup, so start afresh
+    arrows.left = arrows.right = arrows.up = false;
+    menu = new PauseMenu(document.body, {
+      resume: resume,
+      restart: function() { end("restart"); },
+      settings: openSettings,
+      quit: function() { end("quit"); }
+    }, quitLabel);
+    accessibility.announce("Paused.");
+  }
+
+  // Close the menu and count down before the game continues
+  function resume() {
+    if (state != "paused") return;
+    menu.clear();
+    menu = null;
+    setState("countdown");
+    countdown = showCountdown(document.body, function() {
+      countdown = null;
+      setState("running");
+      start();
+    });
+  }
+
+  function openSettings() {
+    state = "settings";
+    menu.setHidden(true);
+    new SettingsScreen(document.body, accessibility, function() {
+      state = "paused";
+      menu.setHidden(false);
+    });
+  }
+
+  // Pause or resume the game
+  function togglePause() {
+    if (state == "paused")
+      resume();
+    else
+      pause();
+  }
 
   // Listener for pause key
+  var keys = accessibility.settings.keys;
   function handleEscKey(event) {
-    if (event.keyCode == 27) { // ESC's key code is 27
-      var handler = arrows.eventListener;
-      if (running == "yes") {
-        running = "pausing";
-      } else if (running == "no") { // resume
-        running = "yes";
-        runAnimation(animation);
-      } else if (running == "pausing") { // not yet stop animation
-        running = "yes";
-      }
-    }
+    if (keyMatches(keys.pause, event) && !event.repeat)
+      togglePause();
   }
   addEventListener("keydown", handleEscKey);
-  var arrows = trackKeys(arrowCodes);
+  var arrows = trackKeys(keys);
+  // The on-screen controls fill the same `arrows` object as the keyboard
+  var touch = trackTouch(arrows, togglePause);
+  // Controllers keep their own flags, which are combined with the keyboard's every frame
+  var gamepad = trackGamepad(togglePause, pause);
+  var visibility = trackVisibility(pause);
+
+  var stepper = fixedStepper(function() {
+    var keys = combineKeys([arrows, gamepad]);
+    if (recorder)
+      recorder.record(keys);
+    level.animate(fixedStep, keys);
+  });
+
+  // Remove the display and every listener, and report how the level ended
+  function end(status) {
+    if (menu) menu.clear();
+    if (countdown) countdown.cancel();
+    display.clear();
+    removeEventListener("keydown", handleEscKey);
+    arrows.unregister();
+    touch.unregister();
+    gamepad.unregister();
+    visibility.unregister();
+    if (music != null)
+      soundManager.stopMusic();
+    soundManager.resume();
+    emit("levelEnd", {status: status});
+    if (andThen)
+      andThen(status);
+  }
 
   function animation(step) {
-    if (running == "pausing") {
-      running = "no";
+    if (state != "running") {
       // When the game is paused, level will not respond to the change of 
       // arrow keys so we do not need to unregister arrow keys' listeners.
+      animating = false;
       return false; // actually pause the game
     }
 
-    level.animate(step, arrows);
+    stepper(step);
     display.drawFrame(step);
+    if (hud)
+      hud.update(level);
     if (level.isFinished()) {
-      display.clear();
-      removeEventListener("keydown", handleEscKey);
-      arrows.unregister();
-      if (andThen)
-        andThen(level.status);
+      animating = false;
+      end(level.status);
       return false;
     }
   }
 
-  runAnimation(animation);
+  // A quick pause and resume can happen before the loop has noticed the pause, 
+  // in which case it simply keeps going.
+  function start() {
+    if (animating) return;
+    animating = true;
+    runAnimation(animation);
+  }
+  emit("levelStart");
+  start();
 }
 
-// A game is a sequence of levels. Whenever the player dies, the current level is restarted. 
-// When a level is completed, we move on to the next level. 
-// This can be expressed by the following function, which takes an array of level plans 
-// (arrays of strings) and a display constructor.
-// Player has 3 lives for a whole run. When player loses, the game will restart.
-function runGame(plans, Display) {
-  function startLevel(n, lives) {
-    runLevel(new Level(plans[n]), Display, function(status) {
-      if (status == "lost") {
-        if (lives > 0) {
-          startLevel(n, lives - 1);
-        } else {
-          console.log('Game Over!');
-          startLevel(0, 3);
-        }
-      } else if (n < plans.length - 1)
-        startLevel(n + 1);
-      else
-        console.log("You win!");
-    });
-  }
-  startLevel(0, 3);
-}
-
-// test
-var GAME_LEVELS = [
-  ["                                                                                ",
-    "                                                                                ",
-    "                                                                                ",
-    "                                                                                ",
-    "                                                                                ",
-    "                                                                                ",
-    "                                                                  xxx           ",
-    "                                                   xx      xx    xx!xx          ",
-    "                                    o o      xx                  x!!!x          ",
-    "                                                                 xx!xx          ",
-    "                                   xxxxx                          xvx           ",
-    "                                   |                                        xx  ",
-    "  xx                                      o o                                x  ",
-    "  x                     o                                                    x  ",
-    "  x                                      xxxxx                             o x  ",
-    "  x          xxxx       o                                                    x  ",
-    "  x  @       x  x                                                xxxxx     = x  ",
-    "  xxxxxxxxxxxx  xxxxxxxxxxxxxxx   xxxxxxxxxxxxxxxxxxxx     xxxxxxx   xxxxxxxxx  ",
-    "                              x   x                  x     x                    ",
-    "                              x!!!x                  x!!!!!x                    ",
-    "                              x!!!x                  x!!!!!x                    ",
-    "                              xxxxx                  xxxxxxx                    ",
-    "                                                                                ",
-    "                                                                                "
-  ],
-  ["                                      x!!x                        xxxxxxx                                    x!x  ",
-    "                                      x!!x                     xxxx     xxxx                                 x!x  ",
-    "                                      x!!xxxxxxxxxx           xx           xx                                x!x  ",
-    "                                      xx!!!!!!!!!!xx         xx             xx                               x!x  ",
-    "                                       xxxxxxxxxx!!x         x                                    o   o   o  x!x  ",
-    "                                                xx!x         x     o   o                                    xx!x  ",
-    "                                                 x!x         x                                xxxxxxxxxxxxxxx!!x  ",
-    "                                                 xvx         x     x   x                        !!!!!!!!!!!!!!xx  ",
-    "                                                             xx  |   |   |  xx            xxxxxxxxxxxxxxxxxxxxx   ",
-    "                                                              xx!!!!!!!!!!!xx            v                        ",
-    "                                                               xxxx!!!!!xxxx                                      ",
-    "                                               x     x            xxxxxxx        xxx         xxx                  ",
-    "                                               x     x                           x x         x x                  ",
-    "                                               x     x                             x         x                    ",
-    "                                               x     x                             xx        x                    ",
-    "                                               xx    x                             x         x                    ",
-    "                                               x     x      o  o     x   x         x         x                    ",
-    "               xxxxxxx        xxx   xxx        x     x               x   x         x         x                    ",
-    "              xx     xx         x   x          x     x     xxxxxx    x   x   xxxxxxxxx       x                    ",
-    "             xx       xx        x o x          x    xx               x   x   x               x                    ",
-    "     @       x         x        x   x          x     x               x   x   x               x                    ",
-    "    xxx      x         x        x   x          x     x               x   xxxxx   xxxxxx      x                    ",
-    "    x x      x         x       xx o xx         x     x               x     o     x x         x                    ",
-    "!!!!x x!!!!!!x         x!!!!!!xx     xx!!!!!!!!xx    x!!!!!!!!!!     x     =     x x         x                    ",
-    "!!!!x x!!!!!!x         x!!!!!xx       xxxxxxxxxx     x!!!!!!!xx!     xxxxxxxxxxxxx xx  o o  xx                    ",
-    "!!!!x x!!!!!!x         x!!!!!x    o                 xx!!!!!!xx !                    xx     xx                     ",
-    "!!!!x x!!!!!!x         x!!!!!x                     xx!!!!!!xx  !                     xxxxxxx                      ",
-    "!!!!x x!!!!!!x         x!!!!!xx       xxxxxxxxxxxxxx!!!!!!xx   !                                                  ",
-    "!!!!x x!!!!!!x         x!!!!!!xxxxxxxxx!!!!!!!!!!!!!!!!!!xx    !                                                  ",
-    "!!!!x x!!!!!!x         x!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!xx     !                                                  "
-  ],
-  ["                                                                                                              ",
-    "                                                                                                              ",
-    "                                                                                                              ",
-    "                                                                                                              ",
-    "                                                                                                              ",
-    "                                        o                                                                     ",
-    "                                                                                                              ",
-    "                                        x                                                                     ",
-    "                                        x                                                                     ",
-    "                                        x                                                                     ",
-    "                                        x                                                                     ",
-    "                                       xxx                                                                    ",
-    "                                       x x                 !!!        !!!  xxx                                ",
-    "                                       x x                 !x!        !x!                                     ",
-    "                                     xxx xxx                x          x                                      ",
-    "                                      x   x                 x   oooo   x       xxx                            ",
-    "                                      x   x                 x          x      x!!!x                           ",
-    "                                      x   x                 xxxxxxxxxxxx       xxx                            ",
-    "                                     xx   xx      x   x      x                                                ",
-    "                                      x   xxxxxxxxx   xxxxxxxx              x x                               ",
-    "                                      x   x           x                    x!!!x                              ",
-    "                                      x   x           x                     xxx                               ",
-    "                                     xx   xx          x                                                       ",
-    "                                      x   x= = = =    x            xxx                                        ",
-    "                                      x   x           x           x!!!x                                       ",
-    "                                      x   x    = = = =x     o      xxx       xxx                              ",
-    "                                     xx   xx          x                     x!!!x                             ",
-    "                              o   o   x   x           x     x                xxv        xxx                   ",
-    "                                      x   x           x              x                 x!!!x                  ",
-    "                             xxx xxx xxx xxx     o o  x!!!!!!!!!!!!!!x                   vx                   ",
-    "                             x xxx x x xxx x          x!!!!!!!!!!!!!!x                                        ",
-    "                             x             x   xxxxxxxxxxxxxxxxxxxxxxx                                        ",
-    "                             xx           xx                                         xxx                      ",
-    "  xxx                         x     x     x                                         x!!!x                xxx  ",
-    "  x x                         x    xxx    x                                          xxx                 x x  ",
-    "  x                           x    xxx    xxxxxxx                        xxxxx                             x  ",
-    "  x                           x           x                              x   x                             x  ",
-    "  x                           xx          x                              x x x                             x  ",
-    "  x                                       x       |xxxx|    |xxxx|     xxx xxx                             x  ",
-    "  x                xxx             o o    x                              x         xxx                     x  ",
-    "  x               xxxxx       xx          x                             xxx       x!!!x          x         x  ",
-    "  x               oxxxo       x    xxx    x                             x x        xxx          xxx        x  ",
-    "  x                xxx        xxxxxxxxxxxxx  x oo x    x oo x    x oo  xx xx                    xxx        x  ",
-    "  x      @          x         x           x!!x    x!!!!x    x!!!!x    xx   xx                    x         x  ",
-    "  xxxxxxxxxxxxxxxxxxxxxxxxxxxxx           xxxxxxxxxxxxxxxxxxxxxxxxxxxxx     xxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx  ",
-    "                                                                                                              ",
-    "                                                                                                              "
-  ],
-  ["                                                                                                  xxx x       ",
-    "                                                                                                      x       ",
-    "                                                                                                  xxxxx       ",
-    "                                                                                                  x           ",
-    "                                                                                                  x xxx       ",
-    "                          o                                                                       x x x       ",
-    "                                                                                             o o oxxx x       ",
-    "                   xxx                                                                                x       ",
-    "       !  o  !                                                xxxxx xxxxx xxxxx xxxxx xxxxx xxxxx xxxxx       ",
-    "       x     x                                                x   x x   x x   x x   x x   x x   x x           ",
-    "       x= o  x            x                                   xxx x xxx x xxx x xxx x xxx x xxx x xxxxx       ",
-    "       x     x                                                  x x   x x   x x   x x   x x   x x     x       ",
-    "       !  o  !            o                                  xxxx xxxxx xxxxx xxxxx xxxxx xxxxx xxxxxxx       ",
-    "                                                                                                              ",
-    "          o              xxx                              xx                                                  ",
-    "                                                                                                              ",
-    "                                                                                                              ",
-    "                                                      xx                                                      ",
-    "                   xxx         xxx                                                                            ",
-    "                                                                                                              ",
-    "                          o                                                     x      x                      ",
-    "                                                          xx     xx                                           ",
-    "             xxx         xxx         xxx                                 x                  x                 ",
-    "                                                                                                              ",
-    "                                                                 ||                                           ",
-    "  xxxxxxxxxxx                                                                                                 ",
-    "  x         x o xxxxxxxxx o xxxxxxxxx o xx                                                x                   ",
-    "  x         x   x       x   x       x   x                 ||                  x     x                         ",
-    "  x  @      xxxxx   o   xxxxx   o   xxxxx                                                                     ",
-    "  xxxxxxx                                     xxxxx       xx     xx     xxx                                   ",
-    "        x=                  =                =x   x                     xxx                                   ",
-    "        xxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx   x!!!!!!!!!!!!!!!!!!!!!xxx!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!",
-    "                                                  xxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx",
-    "                                                                                                              "
-  ]
-];
-runGame(GAME_LEVELS, DOMDisplay);
\ No newline at end of file
+// Start a game of `plans` on the page straight away, from level `first` (0 when not given), 
+// and return the SceneManager (see js/scenes.js) that runs it. A game is a sequence of levels, 
+// played with 3 lives that carry over from one level to the next, restarting a lost level at 
+// the last checkpoint reached. Once the run is over, the game goes on to the high scores and 
+// the title screen, like a run started from the level select.
+function runGame(plans, Display, first) {
+  var manager = new SceneManager(document.body, plans, Display);
+  manager.go("playing", new GameRun(first || 0, plans));
+  return manager;
+}
+
+// The level plans live in separate JSON level files under levels/. 
+// js/levels.js validates them and fills `GAME_LEVELS`, and js/main.js starts the game.
+var GAME_LEVELS = [];
+
+// In the browser everything above is simply global. When snake.js is loaded in Node 
+// (with `require`), the simulation is exported instead, so it can be used without a DOM.
+if (typeof module != "undefined" && module.exports) {
+  module.exports = {
+    Vector: Vector,
+    Level: Level,
+    Player: Player,
+    Lava: Lava,
+    Coin: Coin,
+    Platform: Platform,
+    Enemy: Enemy,
+    Checkpoint: Checkpoint,
+    Exit: Exit,
+    PowerUp: PowerUp,
+    powerUps: powerUps,
+    Camera: Camera,
+    SpatialHash: SpatialHash,
+    actorChars: actorChars,
+    gridChars: gridChars,
+    scoring: scoring,
+    seededRandom: seededRandom,
+    EventBus: EventBus,
+    gameEventTypes: gameEventTypes,
+    playerPhysics: playerPhysics,
+    fixedStep: fixedStep,
+    fixedStepper: fixedStepper,
+    simulateLevel: simulateLevel,
+    NullDisplay: NullDisplay
+  };
+}
@@ -1,26 +1,109 @@
-var cacheName = 'itst-pwa';
+/* Bump the version whenever any of the files below change. The new service worker then
+   precaches the new build under a new cache name, and the page offers to reload into it. */
+var cacheVersion = 30;
+var cachePrefix = 'itst-pwa';
+var cacheName = cachePrefix + '-v' + cacheVersion;
 var filesToCache = [
   '/',
   '/index.html',
+  '/offline.html',
+  '/manifest.json',
+  '/snake.js',
   '/css/style.css',
-  '/js/main.js'
+  '/js/main.js',
+  '/js/levels.js',
+  '/js/generator.js',
+  '/js/editor.js',
+  '/js/touch.js',
+  '/js/gamepad.js',
+  '/js/progress.js',
+  '/js/hud.js',
+  '/js/scores.js',
+  '/js/replay.js',
+  '/js/audio.js',
+  '/js/accessibility.js',
+  '/js/pause.js',
+  '/js/dodge.js',
+  '/js/scenes.js',
+  '/js/fullscreen.js',
+  '/js/plugins.js',
+  '/levels/index.json',
+  '/levels/level1.json',
+  '/levels/level2.json',
+  '/levels/level3.json',
+  '/levels/level4.json',
+  '/images/icons.svg',
+  '/images/player.svg',
+  '/images/coin.svg',
+  '/images/lava.svg',
+  '/images/loading.gif',
+  '/images/logo-ccs-60.png',
+  '/images/logo-ccs-90.png',
+  '/images/logo-ccs-100.png',
+  '/images/logo-ccs-512.png'
 ];
 
-/* Start the service worker and cache all of the app's content */
+/* Start the service worker and cache all of the app's content.
+   A new version waits until the page asks it to take over (see js/main.js),
+   so a game in progress is never switched to a different build. */
 self.addEventListener('install', function(e) {
   e.waitUntil(
     caches.open(cacheName).then(function(cache) {
       return cache.addAll(filesToCache);
     })
   );
-  self.skipWaiting();
 });
 
-/* Serve cached content when offline */
+self.addEventListener('message', function(e) {
+  if (e.data === 'skipWaiting')
+    self.skipWaiting();
+});
+
+/* Delete the caches of older versions once this one is in charge */
+self.addEventListener('activate', function(e) {
+  e.waitUntil(
+    caches.keys().then(function(names) {
+      return Promise.all(names.filter(function(name) {
+        return name.indexOf(cachePrefix) === 0 && name !== cacheName;
+      }).map(function(name) {
+        return caches.delete(name);
+      }));
+    }).then(function() {
+      return self.clients.claim();
+    })
+  );
+});
+
+/* Serve cached content first, falling back to the network. Same-origin files that were not
+   precached are stored in the cache as they are fetched, so they work offline next time.
+   Requests to other origins are passed through untouched. */
 self.addEventListener('fetch', function(e) {
+  var url = new URL(e.request.url);
+  if (e.request.method !== 'GET' || url.origin !== self.location.origin)
+    return;
+
   e.respondWith(
     caches.match(e.request).then(function(response) {
-      return response || fetch(e.request);
+      return response || fetch(e.request).then(function(response) {
+        if (response.ok) {
+          var copy = response.clone();
+          caches.open(cacheName).then(function(cache) {
+            cache.put(e.request, copy);
+          });
+        }
+        return response;
+      }).catch(function() {
+        return offlineFallback(e.request);
+      });
     })
   );
 });
+
+/* Neither the cache nor the network could answer. Pages (and anything else asking for HTML)
+   get the offline page; other files get an empty "Service Unavailable" response. */
+function offlineFallback(request) {
+  var accept = request.headers.get('Accept') || '';
+  if (request.mode === 'navigate' || accept.indexOf('text/html') !== -1)
+    return caches.match('/offline.html');
+  return new Response('', {status: 503, statusText: 'Offline'});
+}
@@ -0,0 +1,178 @@
+/*
+Tests for the simulation in snake.js, run headless in Node with `npm test`. They use what
+snake.js exports when it is loaded with `require` (see the end of snake.js).
+*/
+
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var game = require("../snake.js");
+
+var Level = game.Level,
+  Vector = game.Vector,
+  fixedStep = game.fixedStep,
+  simulateLevel = game.simulateLevel;
+
+// Keys for `simulateLevel` that hold the same keys on every tick
+function holding(keys) {
+  return function() {
+    return keys;
+  };
+}
+
+function actorOfType(level, type) {
+  return level.actors.filter(function(actor) {
+    return actor.type == type;
+  })[0];
+}
+
+test("obstacleAt counts the sides and the top of the level as wall", function() {
+  var level = new Level(["     ", "  @  ", "xxxxx"], 1);
+  var size = new Vector(1, 1);
+  assert.strictEqual(level.obstacleAt(new Vector(-0.5, 0.5), size), "wall");
+  assert.strictEqual(level.obstacleAt(new Vector(4.5, 0.5), size), "wall");
+  assert.strictEqual(level.obstacleAt(new Vector(2, -0.5), size), "wall");
+});
+
+test("obstacleAt counts below the level as lava", function() {
+  var level = new Level(["     ", "  @  ", "     "], 1);
+  assert.strictEqual(level.obstacleAt(new Vector(2, 2.5), new Vector(1, 1)), "lava");
+});
+
+test("obstacleAt reports the grid squares a rectangle overlaps", function() {
+  var level = new Level(["     ", "  @  ", "xx!  "], 1);
+  var size = new Vector(0.8, 1.5);
+  assert.strictEqual(level.obstacleAt(new Vector(2, 0), size), undefined);
+  assert.strictEqual(level.obstacleAt(new Vector(0.5, 1), size), "wall");
+  assert.strictEqual(level.obstacleAt(new Vector(2.1, 1), size), "lava");
+  // Touching the edge of a square is not overlapping it
+  assert.strictEqual(level.obstacleAt(new Vector(3, 0.5), size), undefined);
+});
+
+test("actorsAt finds the actors overlapping an actor, but not the actor itself", function() {
+  var level = new Level(["      ", " @  o ", "xxxxxx"], 1);
+  var player = level.player,
+    coin = actorOfType(level, "coin");
+  assert.deepStrictEqual(level.actorsAt(player), []);
+  assert.deepStrictEqual(level.actorsAt(player, new Vector(3.5, 0.5)), [coin]);
+  assert.deepStrictEqual(level.actorsAt(coin, new Vector(1.5, 1)), [player]);
+});
+
+test("holding the jump key jumps about as high as the physics allow", function() {
+  var level = new Level(["          ", "          ", "          ", "          ", "          ",
+    "          ", "    @     ", "xxxxxxxxxx"], 1);
+  var physics = level.physics;
+  var start = level.player.pos.y,
+    highest = start;
+  simulateLevel(level, function(tick, level) {
+    highest = Math.min(highest, level.player.pos.y);
+    return {up: true};
+  }, 40);
+  var expected = physics.jumpSpeed * physics.jumpSpeed / (2 * physics.gravity);
+  assert.ok(Math.abs(start - highest - expected) < 0.5,
+    "jumped " + (start - highest) + " squares, expected about " + expected);
+});
+
+test("letting go of the jump key early makes a lower jump", function() {
+  function jumpHeight(ticksHeld) {
+    var level = new Level(["        ", "        ", "        ", "        ", "        ",
+      "        ", "   @    ", "xxxxxxxx"], 1);
+    var start = level.player.pos.y,
+      highest = start;
+    simulateLevel(level, function(tick, level) {
+      highest = Math.min(highest, level.player.pos.y);
+      return {up: tick < ticksHeld};
+    }, 60);
+    return start - highest;
+  }
+  assert.ok(jumpHeight(3) < jumpHeight(30) - 1);
+});
+
+test("the player cannot jump in mid-air", function() {
+  var level = new Level(["        ", "   @    ", "        ", "        ", "xxxxxxxx"], 1);
+  level.animate(fixedStep, {up: true});
+  assert.ok(level.player.speed.y > 0);
+});
+
+test("bouncing lava turns around when it hits something", function() {
+  var level = new Level(["      ", "x  = x", "xxxxxx"], 1);
+  var lava = actorOfType(level, "lava");
+  var turned = false;
+  simulateLevel(level, function() {
+    if (lava.speed.x < 0) turned = true;
+    return {};
+  }, 60);
+  assert.ok(turned);
+  assert.ok(lava.pos.x > 1 && lava.pos.x < 4);
+});
+
+test("dripping lava jumps back to where it started when it hits something", function() {
+  var level = new Level([" v ", "   ", "   ", "xxx"], 1);
+  var lava = actorOfType(level, "lava");
+  var lowest = 0,
+    restarted = false;
+  simulateLevel(level, function() {
+    assert.ok(lava.speed.y > 0);
+    lowest = Math.max(lowest, lava.pos.y);
+    if (lowest > 1 && lava.pos.y == 0) restarted = true;
+    return {};
+  }, 60);
+  assert.ok(restarted);
+  assert.ok(lowest <= 2);
+});
+
+// Run `level` holding `keys` until it finishes. Returns the status and how long (in seconds)
+// the level went on after that status was set.
+function runToEnd(level, keys) {
+  var statusTick = null,
+    ticks = 0;
+  simulateLevel(level, function(tick, level) {
+    ticks = tick + 1;
+    if (level.status != null && statusTick == null) statusTick = tick;
+    return keys;
+  }, 600);
+  assert.ok(level.isFinished(), "the level never finished");
+  return {status: level.status, delay: (ticks - statusTick) * fixedStep};
+}
+
+test("winning keeps the level going for a second before it finishes", function() {
+  var level = new Level(["     ", " @ o ", "xxxxx"], 1);
+  var end = runToEnd(level, {right: true});
+  assert.strictEqual(end.status, "won");
+  assert.ok(Math.abs(end.delay - 1) < 2 * fixedStep, "finished after " + end.delay + "s");
+});
+
+test("losing keeps the level going for a second before it finishes", function() {
+  var level = new Level(["     ", " @   ", "xxx!x"], 1);
+  var end = runToEnd(level, {right: true});
+  assert.strictEqual(end.status, "lost");
+  assert.ok(Math.abs(end.delay - 1) < 2 * fixedStep, "finished after " + end.delay + "s");
+});
+
+// Move the player to `pos`, where it touches both the level's only coin and lava, and run a step
+function touchingCoinAndLava(level, pos) {
+  level.player.pos = pos;
+  level.moved(level.player);
+  level.animate(fixedStep, {});
+  return level;
+}
+
+test("touching lava and the last coin in the same step loses the level", function() {
+  var level = new Level({plan: ["   ", "o=@", "xxx"], speeds: {"=": 0}}, 1);
+  var score = level.score;
+  touchingCoinAndLava(level, new Vector(0.5, 0.45));
+  assert.strictEqual(level.status, "lost");
+  // The coin is not picked up, and does not score
+  assert.strictEqual(level.coinsLeft(), 1);
+  assert.strictEqual(level.score, score - game.scoring.deathPenalty);
+});
+
+test("falling into lava squares while taking the last coin loses the level", function() {
+  var level = new Level(["   ", "o  ", "!!@"], 1);
+  var score = level.score;
+  touchingCoinAndLava(level, new Vector(0.5, 0.5));
+  assert.strictEqual(level.status, "lost");
+  assert.strictEqual(level.coinsLeft(), 1);
+  assert.strictEqual(level.score, score - game.scoring.deathPenalty);
+});
@@ -0,0 +1,56 @@
+/*
+Plays through every level in levels/ with a scripted sequence of inputs, to make sure each of
+them can still be won after changes to the physics or the actors.
+
+The scripts are in solutions.json, by level file. A script is a list of runs of ticks (of
+`fixedStep` seconds) with the same keys held: "RU12" holds right and up for 12 ticks, "L6"
+holds left for 6 and "N30" holds nothing for 30. Coins wobble, and where they are depends on
+the level's seed, so the levels are played with seed 1. When a level file changes, its script
+has to be recorded again.
+*/
+
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var fs = require("fs");
+var path = require("path");
+var game = require("../snake.js");
+
+var levelsDir = path.join(__dirname, "..", "levels");
+var solutions = JSON.parse(fs.readFileSync(path.join(__dirname, "solutions.json"), "utf8"));
+
+// The keys held on each tick of `script`
+function scriptKeys(script) {
+  var ticks = [];
+  script.split(" ").forEach(function(run) {
+    var match = /^(N|[LRU]+)(\d+)$/.exec(run);
+    if (!match) throw new Error("Bad run \"" + run + "\" in a level script");
+    var keys = {
+      left: match[1].indexOf("L") >= 0,
+      right: match[1].indexOf("R") >= 0,
+      up: match[1].indexOf("U") >= 0
+    };
+    for (var i = 0; i < Number(match[2]); i++)
+      ticks.push(keys);
+  });
+  return ticks;
+}
+
+var index = JSON.parse(fs.readFileSync(path.join(levelsDir, "index.json"), "utf8"));
+
+index.levels.forEach(function(file) {
+  test("the script for " + file + " wins the level", function() {
+    assert.ok(solutions[file], "there is no script for " + file);
+    var definition = JSON.parse(fs.readFileSync(path.join(levelsDir, file), "utf8"));
+    var level = new game.Level(definition, 1);
+    var ticks = scriptKeys(solutions[file]);
+    // Once the script runs out, give the level time to finish
+    game.simulateLevel(level, function(tick) {
+      return ticks[tick] || {};
+    }, ticks.length + 2 / game.fixedStep);
+    assert.strictEqual(level.status, "won");
+    assert.strictEqual(level.coinsLeft(), 0);
+    assert.ok(level.isFinished());
+  });
+});